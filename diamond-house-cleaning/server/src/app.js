@@ -12,6 +12,15 @@ const userRoutes = require('./routes/userRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const bookingBatchRoutes = require('./routes/bookingBatchRoutes');
+const serviceAreaRoutes = require('./routes/serviceAreaRoutes');
+const routePlanRoutes = require('./routes/routePlanRoutes');
+const pricingRuleRoutes = require('./routes/pricingRuleRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import middleware
 const errorMiddleware = require('./middleware/errorMiddleware');
@@ -55,6 +64,15 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/services', serviceRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/subscriptions', subscriptionRoutes);
+app.use('/api/v1/coupons', couponRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
+app.use('/api/v1/waitlist', waitlistRoutes);
+app.use('/api/v1/booking-batches', bookingBatchRoutes);
+app.use('/api/v1/service-areas', serviceAreaRoutes);
+app.use('/api/v1/route-plans', routePlanRoutes);
+app.use('/api/v1/pricing-rules', pricingRuleRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // Health check
 app.get('/api/v1/health', (req, res) => {
@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+
+// Initialize the SMTP transport only if credentials are available
+let mailer = null;
+if (process.env.EMAIL_USER && process.env.EMAIL_PASS &&
+    process.env.EMAIL_USER !== 'your-email@gmail.com') {
+  mailer = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+}
+
+module.exports = mailer;
@@ -0,0 +1,14 @@
+const Razorpay = require('razorpay');
+
+// Initialize Razorpay only if keys are available
+let razorpay = null;
+if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET &&
+    process.env.RAZORPAY_KEY_ID !== 'your-razorpay-key-id' &&
+    process.env.RAZORPAY_KEY_SECRET !== 'your-razorpay-key-secret') {
+  razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+}
+
+module.exports = razorpay;
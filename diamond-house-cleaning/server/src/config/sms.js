@@ -0,0 +1,13 @@
+const twilio = require('twilio');
+
+// Initialize Twilio only if credentials and a sender number are available
+let sms = null;
+if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER &&
+    process.env.TWILIO_ACCOUNT_SID !== 'your-twilio-account-sid') {
+  sms = {
+    client: twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN),
+    from: process.env.TWILIO_PHONE_NUMBER
+  };
+}
+
+module.exports = sms;
@@ -0,0 +1,89 @@
+const Booking = require('../models/Booking');
+const { logger } = require('../middleware/loggerMiddleware');
+const { buildOperationsCalendar, updateCalendarBooking } = require('../services/operationsCalendarService');
+const { parseDateKey } = require('../utils/dateUtils');
+
+// @desc    Get bookings grouped by day, slot and staff with utilisation
+// @route   GET /api/v1/admin/calendar?view=day|week|month&start=YYYY-MM-DD
+// @access  Private/Admin
+const getOperationsCalendar = async (req, res) => {
+  try {
+    const start = req.query.start ? parseDateKey(req.query.start) : new Date();
+    if (!start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start date is required'
+      });
+    }
+
+    const calendar = await buildOperationsCalendar({ view: req.query.view || 'week', start });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar retrieved successfully',
+      data: { calendar }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get operations calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Move a booking to another day or slot and/or replace its team
+// @route   PATCH /api/v1/admin/calendar/bookings/:id
+// @access  Private/Admin
+const updateCalendarBookingById = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { moved, staffChanges } = await updateCalendarBooking(booking, req.body, req.user);
+
+    await booking.populate('assignedStaff.staffId', 'firstName lastName phone');
+
+    logger.info(`Booking ${booking.bookingNumber} updated from the operations calendar by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: { booking, moved, staffChanges }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Update calendar booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getOperationsCalendar,
+  updateCalendarBookingById
+};
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const BookingBatch = require('../models/BookingBatch');
+const User = require('../models/User');
+const { logger } = require('../middleware/loggerMiddleware');
+const {
+  CSV_COLUMNS,
+  parseBookingCsv,
+  createBookingBatch,
+  createBatchOrder,
+  confirmBatchPayment,
+  buildBatchInvoice
+} = require('../services/bulkBookingService');
+
+const BOOKING_FIELDS = 'bookingNumber serviceAddress scheduledDate scheduledTimeSlot services pricing status payment';
+
+// Load a batch the current user may view, or send the error response
+const findBatchForUser = async (req, res) => {
+  const batch = await BookingBatch.findById(req.params.id)
+    .populate('customerId', 'firstName lastName email phone')
+    .populate({
+      path: 'bookings',
+      select: BOOKING_FIELDS,
+      populate: { path: 'payment', select: 'status invoice.invoiceNumber' }
+    })
+    .populate('payment.bookings', BOOKING_FIELDS);
+
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking batch not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && batch.customerId._id.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this booking batch'
+    });
+    return null;
+  }
+
+  return batch;
+};
+
+// @desc    Book several properties at once from JSON rows or a CSV upload
+// @route   POST /api/v1/booking-batches
+// @access  Private/Customer, Admin (for a customer given by customerId)
+const createBatch = async (req, res) => {
+  try {
+    // CSV is sent as the raw request body with Content-Type: text/csv
+    const isCsv = typeof req.body === 'string';
+    const body = isCsv ? {} : req.body || {};
+    const rows = isCsv ? parseBookingCsv(req.body) : body.bookings;
+
+    // Admins book on behalf of a customer, named in the query for CSV uploads
+    let customerId = req.user._id;
+    if (req.user.role === 'admin') {
+      customerId = req.query.customerId || body.customerId;
+      const customer = mongoose.isValidObjectId(customerId)
+        && await User.exists({ _id: customerId, role: 'customer' });
+
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid customerId is required'
+        });
+      }
+    }
+
+    const { batch, bookings } = await createBookingBatch(customerId, rows, {
+      source: isCsv ? 'csv' : 'json',
+      notes: body.notes,
+      actor: req.user
+    });
+
+    logger.info(`Booking batch created: ${batch.batchNumber} with ${bookings.length} bookings by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bookings created successfully',
+      data: { batch, bookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Create booking batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create bookings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the CSV header row for bulk booking uploads
+// @route   GET /api/v1/booking-batches/template
+// @access  Private
+const getCsvTemplate = (req, res) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="bulk-booking-template.csv"');
+  res.send(`${CSV_COLUMNS.join(',')}\r\n`);
+};
+
+// @desc    Get booking batches
+// @route   GET /api/v1/booking-batches
+// @access  Private
+const getBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = req.user.role === 'admin' ? {} : { customerId: req.user._id };
+
+    const batches = await BookingBatch.find(filter)
+      .populate('customerId', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BookingBatch.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking batches retrieved successfully',
+      data: {
+        batches,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get booking batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve booking batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a booking batch with its bookings
+// @route   GET /api/v1/booking-batches/:id
+// @access  Private
+const getBatch = async (req, res) => {
+  try {
+    const batch = await findBatchForUser(req, res);
+    if (!batch) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking batch retrieved successfully',
+      data: { batch }
+    });
+  } catch (error) {
+    logger.error('Get booking batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve booking batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create one payment order for the unpaid bookings in a batch
+// @route   POST /api/v1/booking-batches/:id/pay
+// @access  Private/Customer
+const payBatch = async (req, res) => {
+  try {
+    const batch = await findBatchForUser(req, res);
+    if (!batch) return;
+
+    const { order, bookings } = await createBatchOrder(batch);
+
+    logger.info(`Payment order created: ${order.id} for booking batch ${batch.batchNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment order created successfully',
+      data: {
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        bookings: bookings.map(booking => booking.bookingNumber),
+        holdExpiresAt: bookings.reduce((earliest, booking) => (
+          booking.hold?.expiresAt && (!earliest || booking.hold.expiresAt < earliest) ? booking.hold.expiresAt : earliest
+        ), null)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Create batch payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Verify the batch payment and link it to the batch's bookings
+// @route   POST /api/v1/booking-batches/:id/verify-payment
+// @access  Private/Customer
+const verifyBatchPayment = async (req, res) => {
+  try {
+    const batch = await findBatchForUser(req, res);
+    if (!batch) return;
+
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body || {};
+    const { refunded } = await confirmBatchPayment(batch, {
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    logger.info(`Payment verified: ${razorpay_payment_id} for booking batch ${batch.batchNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: refunded.length
+        ? 'Payment verified; bookings that expired or were cancelled before payment have been refunded'
+        : 'Payment verified successfully',
+      data: {
+        invoiceNumber: batch.invoice.invoiceNumber,
+        transactionId: razorpay_payment_id,
+        refunded
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Verify batch payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the consolidated invoice for a paid booking batch
+// @route   GET /api/v1/booking-batches/:id/invoice
+// @access  Private
+const getBatchInvoice = async (req, res) => {
+  try {
+    const batch = await findBatchForUser(req, res);
+    if (!batch) return;
+
+    if (batch.payment.status !== 'paid') {
+      return res.status(409).json({
+        success: false,
+        message: 'The invoice is issued once the batch has been paid'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch invoice retrieved successfully',
+      data: { invoice: await buildBatchInvoice(batch) }
+    });
+  } catch (error) {
+    logger.error('Get batch invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batch invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createBatch,
+  getCsvTemplate,
+  getBatches,
+  getBatch,
+  payBatch,
+  verifyBatchPayment,
+  getBatchInvoice
+};
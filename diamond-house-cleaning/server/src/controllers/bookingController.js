@@ -1,8 +1,32 @@
 const Booking = require('../models/Booking');
-const Service = require('../models/Service');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const { logger } = require('../middleware/loggerMiddleware');
+const {
+  MAX_RANGE_DAYS,
+  getRequiredMinutes,
+  getAvailability: getSlotAvailability
+} = require('../services/availabilityService');
+const { quoteBooking } = require('../services/quoteService');
+const { transitionBooking, getStatusUpdateError, getAllowedTransitions, createdStatusEntry } = require('../services/bookingStatusService');
+const { processCancellationRefund } = require('../services/cancellationService');
+const { rescheduleBooking } = require('../services/rescheduleService');
+const { autoAssignBooking, autoAssignDay, validateTeam, assignTeam } = require('../services/staffAssignmentService');
+const { buildBookingCalendar } = require('../services/calendarService');
+const { checkIn, checkOut } = require('../services/attendanceService');
+const { completeBooking } = require('../services/completionService');
+const { reportNoShow } = require('../services/noShowService');
+const { findBookingFile } = require('../services/bookingFileService');
+const { PAYMENT_STATUSES, buildBookingFilter, getBookingSort, exportBookings } = require('../services/bookingSearchService');
+const { offerFreedCapacitySafely } = require('../services/waitlistService');
+const { skipCancelledOccurrence } = require('../services/subscriptionService');
+const { placeHold, attachHold, releaseHold } = require('../services/slotHoldService');
+const { expireHeldBookings } = require('../services/bookingExpiryService');
+const { sendBookingReminders } = require('../services/reminderService');
+const { getUploadUrl, removeUploads } = require('../middleware/uploadMiddleware');
+const { redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { getTimeSlot } = require('../utils/timeSlots');
+const { parseDateKey, toDateKey } = require('../utils/dateUtils');
 
 // @desc    Create new booking
 // @route   POST /api/v1/bookings
@@ -14,57 +38,72 @@ const createBooking = async (req, res) => {
       serviceAddress,
       scheduledDate,
       scheduledTimeSlot,
-      specialInstructions
+      specialInstructions,
+      couponCode,
+      propertyDetails
     } = req.body;
 
-    // Validate services exist and calculate pricing
-    let subtotal = 0;
-    const validatedServices = [];
-
-    for (const serviceItem of services) {
-      const service = await Service.findById(serviceItem.serviceId);
-      if (!service || !service.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Service ${serviceItem.serviceId} not found or inactive`
-        });
-      }
-
-      const basePrice = service.pricing.basePrice;
-      const addOnTotal = serviceItem.addOns?.reduce((sum, addOn) => sum + addOn.price, 0) || 0;
-      const itemTotal = (basePrice + addOnTotal) * serviceItem.quantity;
-
-      validatedServices.push({
-        serviceId: service._id,
-        serviceName: service.serviceName,
-        quantity: serviceItem.quantity,
-        basePrice,
-        addOns: serviceItem.addOns || [],
-        subtotal: itemTotal
+    const timeSlot = getTimeSlot(scheduledTimeSlot);
+    if (!timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time slot'
       });
-
-      subtotal += itemTotal;
     }
 
-    // Calculate tax (18% GST)
-    const tax = Math.round(subtotal * 0.18 * 100) / 100;
-    const total = subtotal + tax;
+    // Validate services exist, the address is in a service area and price them
+    // exactly as the quote endpoint does; the coupon is evaluated here but only
+    // takes a use once the slot is confirmed
+    const { services: validatedServices, pricing, coupon: applied, serviceArea } = await quoteBooking(services, {
+      propertyDetails,
+      serviceAddress: serviceAddress || {},
+      couponCode,
+      scheduledDate,
+      timeSlot
+    });
 
-    // Create booking
-    const booking = await Booking.create({
+    // Reserve staff capacity while the customer pays; fails with 409 when the slot is full
+    const hold = await placeHold({
       customerId: req.user._id,
-      services: validatedServices,
-      serviceAddress,
-      scheduledDate,
-      scheduledTimeSlot,
-      pricing: {
-        subtotal,
-        tax,
-        total
-      },
-      specialInstructions
+      date: scheduledDate,
+      timeSlot,
+      requiredMinutes: getRequiredMinutes(validatedServices)
     });
 
+    // Create booking
+    let booking;
+    try {
+      if (applied) {
+        await redeemCoupon(applied.coupon);
+        pricing.coupon = {
+          couponId: applied.coupon._id,
+          code: applied.coupon.code,
+          discount: applied.discount
+        };
+      }
+
+      booking = await Booking.create({
+        customerId: req.user._id,
+        services: validatedServices,
+        serviceAddress,
+        serviceArea: serviceArea?._id,
+        propertyDetails,
+        scheduledDate,
+        scheduledTimeSlot: timeSlot.label,
+        pricing,
+        specialInstructions,
+        prepaymentRequired: Boolean(req.user.noShow?.requiresPrepayment),
+        hold: { holdId: hold._id, expiresAt: hold.expiresAt },
+        statusHistory: [createdStatusEntry(req.user, 'Booked')]
+      });
+    } catch (error) {
+      await releaseHold(hold._id);
+      if (pricing.coupon) await releaseCoupon(applied.coupon._id);
+      throw error;
+    }
+
+    await attachHold(hold, booking._id);
+
     // Populate service details
     await booking.populate('customerId', 'firstName lastName email phone');
 
@@ -73,9 +112,17 @@ const createBooking = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
-      data: { booking }
+      data: { booking, holdExpiresAt: hold.expiresAt }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
     logger.error('Create booking error:', error);
     res.status(500).json({
       success: false,
@@ -94,30 +141,20 @@ const getBookings = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    let filter = {};
-
-    if (req.user.role === 'customer') {
-      filter.customerId = req.user._id;
-    } else if (req.user.role === 'staff') {
-      filter.assignedStaff = { $elemMatch: { staffId: req.user._id } };
-    }
-    // Admin can see all bookings
-
-    if (req.query.status) {
-      filter.status = req.query.status;
+    if (req.query.paymentStatus && !PAYMENT_STATUSES.includes(req.query.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+      });
     }
 
-    if (req.query.startDate && req.query.endDate) {
-      filter.scheduledDate = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
-      };
-    }
+    const filter = await buildBookingFilter(req.query, req.user);
 
     const bookings = await Booking.find(filter)
       .populate('customerId', 'firstName lastName email phone')
       .populate('assignedStaff.staffId', 'firstName lastName')
-      .sort({ createdAt: -1 })
+      .populate('payment', 'status amount')
+      .sort(getBookingSort(req.query.sort))
       .skip(skip)
       .limit(limit);
 
@@ -146,8 +183,56 @@ const getBookings = async (req, res) => {
   }
 };
 
+// @desc    Export the filtered bookings as a spreadsheet (same query as getBookings)
+// @route   GET /api/v1/bookings/export?format=csv|xlsx
+// @access  Private/Admin
+const exportBookingList = async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  try {
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    if (req.query.paymentStatus && !PAYMENT_STATUSES.includes(req.query.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = await buildBookingFilter(req.query, req.user);
+    const fileName = `bookings-${toDateKey(new Date())}.${format}`;
+
+    res.set('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await exportBookings(res, { filter, sort: getBookingSort(req.query.sort), format });
+
+    logger.info(`Bookings exported as ${format} by ${req.user.email}`);
+  } catch (error) {
+    logger.error('Export bookings error:', error);
+
+    // Once rows are streamed the status is sent; all that is left is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bookings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get single booking
-// @route   GET /api/v1/bookings/:id
+// @route   GET /api/v1/bookings/:id (add ?format=ics for a calendar file)
 // @access  Private
 const getBooking = async (req, res) => {
   try {
@@ -178,10 +263,23 @@ const getBooking = async (req, res) => {
       });
     }
 
+    if (req.query.format === 'ics') {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${booking.bookingNumber}.ics"`);
+      return res.status(200).send(buildBookingCalendar(booking));
+    }
+
     res.status(200).json({
       success: true,
       message: 'Booking retrieved successfully',
-      data: { booking }
+      data: {
+        booking,
+        completionPhotos: {
+          before: booking.completion.photos.filter(photo => photo.stage === 'before'),
+          after: booking.completion.photos.filter(photo => photo.stage === 'after')
+        },
+        allowedTransitions: getAllowedTransitions(booking, req.user)
+      }
     });
   } catch (error) {
     logger.error('Get booking error:', error);
@@ -223,7 +321,23 @@ const updateBooking = async (req, res) => {
     }
 
     if (req.user.role === 'admin' || req.user.role === 'staff') {
-      allowedFields.push('status', 'assignedStaff', 'completion');
+      allowedFields.push('assignedStaff', 'completion');
+    }
+
+    // Admins can move a booking here as well as through the reschedule endpoint
+    if (req.user.role === 'admin') {
+      allowedFields.push('scheduledDate', 'scheduledTimeSlot');
+    }
+
+    // Starting, completing and no-shows only go through their own endpoints
+    const statusChange = (req.user.role === 'admin' || req.user.role === 'staff') &&
+      req.body.status && req.body.status !== booking.status;
+    const statusError = statusChange && getStatusUpdateError(req.body.status);
+    if (statusError) {
+      return res.status(statusError.statusCode).json({
+        success: false,
+        message: statusError.message
+      });
     }
 
     const updateData = {};
@@ -233,11 +347,80 @@ const updateBooking = async (req, res) => {
       }
     });
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('customerId', 'firstName lastName email phone');
+    const moving = Boolean(updateData.scheduledDate || updateData.scheduledTimeSlot);
+    const scheduledDate = new Date(updateData.scheduledDate || booking.scheduledDate);
+    const timeSlot = getTimeSlot(updateData.scheduledTimeSlot || booking.scheduledTimeSlot);
+    if (moving && !timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time slot'
+      });
+    }
+    if (moving && Number.isNaN(scheduledDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid scheduled date is required'
+      });
+    }
+
+    const reassigning = updateData.assignedStaff !== undefined;
+    const assignedStaff = updateData.assignedStaff;
+    if (reassigning && !Array.isArray(assignedStaff)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned staff must be a list'
+      });
+    }
+
+    delete updateData.scheduledDate;
+    delete updateData.scheduledTimeSlot;
+    delete updateData.assignedStaff;
+    booking.set(updateData);
+
+    // Date or slot changes follow the same rules as the reschedule endpoint and
+    // team changes get the same roster and conflict checks as the calendar. A
+    // new team is checked against the target slot first and saved with the
+    // move, so a conflict or a full slot leaves the booking as it was.
+    if (moving) {
+      let team;
+      if (reassigning) {
+        if (!['confirmed', 'assigned'].includes(booking.status)) {
+          return res.status(409).json({
+            success: false,
+            message: `Staff can only be assigned to confirmed bookings (booking is '${booking.status}')`
+          });
+        }
+        team = await validateTeam(booking, assignedStaff, scheduledDate, timeSlot);
+      }
+
+      await rescheduleBooking(booking, {
+        scheduledDate,
+        timeSlot,
+        reason: req.body.rescheduleReason,
+        actor: req.user,
+        team
+      });
+    } else if (reassigning) {
+      await assignTeam(booking, assignedStaff, req.user);
+    }
+
+    // Status changes go through the booking state machine
+    if (statusChange) {
+      transitionBooking(booking, req.body.status, {
+        actor: req.user,
+        reason: req.body.statusReason
+      });
+    }
+
+    const cancelled = booking.isModified('status') && booking.status === 'cancelled';
+    await booking.save();
+
+    if (cancelled) {
+      await skipCancelledOccurrence(booking);
+      await offerFreedCapacitySafely(booking.scheduledDate, booking.scheduledTimeSlot);
+    }
+
+    const updatedBooking = await booking.populate('customerId', 'firstName lastName email phone');
 
     logger.info(`Booking updated: ${updatedBooking.bookingNumber} by ${req.user.email}`);
 
@@ -247,6 +430,14 @@ const updateBooking = async (req, res) => {
       data: { booking: updatedBooking }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
     logger.error('Update booking error:', error);
     res.status(500).json({
       success: false,
@@ -278,34 +469,44 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    // Check if booking can be cancelled
-    if (!booking.canCancel()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking cannot be cancelled at this time'
-      });
-    }
+    const reason = req.body?.reason || 'Cancelled by user';
 
-    // Update booking status
-    booking.status = 'cancelled';
+    // Update booking status (the state machine checks the cancellation window)
+    transitionBooking(booking, 'cancelled', { actor: req.user, reason });
     booking.cancellation = {
       isCancelled: true,
       cancelledBy: req.user._id,
       cancelledAt: new Date(),
-      cancellationReason: req.body.reason || 'Cancelled by user'
+      cancellationReason: reason
     };
 
     await booking.save();
+    await skipCancelledOccurrence(booking);
+
+    // The freed capacity goes to the first customer waiting for this slot
+    await offerFreedCapacitySafely(booking.scheduledDate, booking.scheduledTimeSlot);
 
-    // TODO: Process refund if payment was made
+    // Refund any payment according to the cancellation policy
+    const refund = await processCancellationRefund(booking, {
+      reason,
+      processedBy: req.user._id
+    });
 
-    logger.info(`Booking cancelled: ${booking.bookingNumber} by ${req.user.email}`);
+    logger.info(`Booking cancelled: ${booking.bookingNumber} by ${req.user.email} (refund ${refund.refundAmount}, ${refund.status})`);
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully'
+      message: 'Booking cancelled successfully',
+      data: { refund }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
@@ -315,6 +516,191 @@ const cancelBooking = async (req, res) => {
   }
 };
 
+// @desc    Reschedule booking
+// @route   POST /api/v1/bookings/:id/reschedule
+// @access  Private (Customer/Admin)
+const rescheduleBookingById = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role === 'customer' && booking.customerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    const timeSlot = getTimeSlot(req.body.scheduledTimeSlot);
+    if (!timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time slot'
+      });
+    }
+
+    const { staffChanges } = await rescheduleBooking(booking, {
+      scheduledDate: req.body.scheduledDate,
+      timeSlot,
+      reason: req.body.reason,
+      actor: req.user
+    });
+
+    await booking.populate('assignedStaff.staffId', 'firstName lastName phone');
+
+    logger.info(`Booking rescheduled: ${booking.bookingNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: { booking, staffChanges }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Reschedule booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Auto-assign staff to a confirmed booking
+// @route   POST /api/v1/bookings/:id/auto-assign
+// @access  Private/Admin
+const autoAssignStaff = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { team } = await autoAssignBooking(booking, req.user);
+    await booking.populate('assignedStaff.staffId', 'firstName lastName phone');
+
+    logger.info(`Staff auto-assigned to booking ${booking.bookingNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff assigned successfully',
+      data: { booking, team }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Auto-assign staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Auto-assign staff to all confirmed bookings on a day
+// @route   POST /api/v1/bookings/auto-assign
+// @access  Private/Admin
+const autoAssignStaffForDay = async (req, res) => {
+  try {
+    const date = parseDateKey(req.body.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid date is required'
+      });
+    }
+
+    const summary = await autoAssignDay(date, req.user);
+
+    logger.info(`Bulk auto-assign for ${req.body.date} by ${req.user.email}: ${summary.assigned}/${summary.total} assigned`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff auto-assignment completed',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Bulk auto-assign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Expire unpaid bookings whose checkout hold has run out
+// @route   POST /api/v1/bookings/expire-holds
+// @access  Private/Admin
+const expireBookingHolds = async (req, res) => {
+  try {
+    const summary = await expireHeldBookings();
+
+    logger.info(`Booking holds processed by ${req.user.email}: ${summary.expired} expired`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expired booking holds processed successfully',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Expire booking holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process booking holds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Send due customer and staff reminders
+// @route   POST /api/v1/bookings/send-reminders
+// @access  Private/Admin
+const sendReminders = async (req, res) => {
+  try {
+    const summary = await sendBookingReminders();
+
+    logger.info(`Booking reminders processed by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking reminders processed successfully',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Send booking reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send booking reminders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get upcoming bookings
 // @route   GET /api/v1/bookings/upcoming
 // @access  Private
@@ -353,11 +739,284 @@ const getUpcomingBookings = async (req, res) => {
   }
 };
 
+// @desc    Get slot availability
+// @route   GET /api/v1/bookings/availability
+// @access  Public
+const getAvailability = async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? parseDateKey(req.query.startDate) : new Date();
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start date'
+      });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 7, MAX_RANGE_DAYS);
+    const availability = await getSlotAvailability(startDate, days);
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability retrieved successfully',
+      data: { availability }
+    });
+  } catch (error) {
+    logger.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check in to an assigned booking at the service address
+// @route   POST /api/v1/bookings/:id/check-in
+// @access  Private/Staff
+const checkInToBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { stamp } = await checkIn(booking, req.user, req.body);
+
+    logger.info(`Staff ${req.user.email} checked in to booking ${booking.bookingNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: { booking, checkIn: stamp }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check out of a booking; the last staff member out completes it
+// @route   POST /api/v1/bookings/:id/check-out
+// @access  Private/Staff
+const checkOutOfBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { stamp, completed } = await checkOut(booking, req.user, req.body);
+
+    logger.info(`Staff ${req.user.email} checked out of booking ${booking.bookingNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: completed ? 'Checked out and booking completed' : 'Checked out successfully',
+      data: {
+        booking,
+        checkOut: stamp,
+        actualDuration: booking.actualDuration,
+        estimatedDuration: booking.estimatedDuration
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Check out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Submit the completion report with before/after photos
+// @route   POST /api/v1/bookings/:id/complete
+// @access  Private/Staff (lead) or Admin
+const completeBookingById = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      await removeUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const files = req.files || {};
+    await completeBooking(booking, req.user, {
+      notes: req.body.notes,
+      checklist: req.body.checklist,
+      photos: {
+        before: (files.beforePhotos || []).map(file => getUploadUrl(file, booking._id)),
+        after: (files.afterPhotos || []).map(file => getUploadUrl(file, booking._id))
+      }
+    });
+
+    logger.info(`Booking completed: ${booking.bookingNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking completed successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    await removeUploads(req.files);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Complete booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Report that the team could not get in, with photo and location evidence
+// @route   POST /api/v1/bookings/:id/no-show
+// @access  Private/Staff/Admin
+const reportNoShowById = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      await removeUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { latitude, longitude, notes } = req.body;
+    const { settlement, customerRequiresPrepayment } = await reportNoShow(booking, req.user, {
+      coordinates: latitude !== undefined || longitude !== undefined ? { latitude, longitude } : undefined,
+      notes,
+      photos: (req.files || []).map(file => getUploadUrl(file, booking._id))
+    });
+
+    logger.info(`No-show reported for booking ${booking.bookingNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'No-show recorded successfully',
+      data: { booking, settlement, customerRequiresPrepayment }
+    });
+  } catch (error) {
+    await removeUploads(req.files);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Report no-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record no-show',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download a completion photo, no-show photo or message attachment
+// @route   GET /api/v1/bookings/:id/files/:folder/:fileName
+// @access  Private
+const getBookingFile = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('customerId assignedStaff completion.photos noShow.photos');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const filePath = await findBookingFile(booking, req.user, req.params.folder, req.params.fileName);
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get booking file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   createBooking,
   getBookings,
+  exportBookingList,
   getBooking,
   updateBooking,
   cancelBooking,
-  getUpcomingBookings
+  getUpcomingBookings,
+  getAvailability,
+  rescheduleBookingById,
+  autoAssignStaff,
+  autoAssignStaffForDay,
+  expireBookingHolds,
+  sendReminders,
+  checkInToBooking,
+  checkOutOfBooking,
+  completeBookingById,
+  reportNoShowById,
+  getBookingFile
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+const Booking = require('../models/Booking');
+const { logger } = require('../middleware/loggerMiddleware');
+const { getThread, postMessage, markThreadRead } = require('../services/bookingMessageService');
+const { getUploadUrl, removeUploads } = require('../middleware/uploadMiddleware');
+
+// Only the fields needed for access checks and notifications
+const findBooking = (id) => Booking.findById(id).select('bookingNumber customerId assignedStaff');
+
+// @desc    Get the message thread of a booking
+// @route   GET /api/v1/bookings/:id/messages
+// @access  Private
+const getBookingMessages = async (req, res) => {
+  try {
+    const booking = await findBooking(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { messages, unreadCount } = await getThread(booking, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Messages retrieved successfully',
+      data: { messages, unreadCount }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get booking messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Post a message (optionally with attachments) to a booking thread
+// @route   POST /api/v1/bookings/:id/messages
+// @access  Private
+const postBookingMessage = async (req, res) => {
+  try {
+    const booking = await findBooking(req.params.id);
+    if (!booking) {
+      await removeUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const message = await postMessage(booking, req.user, {
+      body: req.body.body,
+      visibility: req.body.visibility,
+      attachments: (req.files || []).map(file => ({
+        url: getUploadUrl(file, booking._id),
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message }
+    });
+  } catch (error) {
+    await removeUploads(req.files);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Post booking message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Mark every message in a booking thread as read
+// @route   POST /api/v1/bookings/:id/messages/read
+// @access  Private
+const markBookingMessagesRead = async (req, res) => {
+  try {
+    const booking = await findBooking(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const marked = await markThreadRead(booking, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Messages marked as read',
+      data: { marked }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Mark booking messages read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark messages as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getBookingMessages,
+  postBookingMessage,
+  markBookingMessagesRead
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { logger } = require('../middleware/loggerMiddleware');
+const { buildUserFeed } = require('../services/calendarService');
+
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/v1/calendar/feed/${token}.ics`;
+
+// @desc    Issue a new calendar feed URL (replaces any previous one)
+// @route   POST /api/v1/calendar/token
+// @access  Private
+const createCalendarToken = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.getCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed URL created successfully',
+      data: { feedUrl: getFeedUrl(req, token) }
+    });
+  } catch (error) {
+    logger.error('Create calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed URL',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke the calendar feed URL
+// @route   DELETE /api/v1/calendar/token
+// @access  Private
+const revokeCalendarToken = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarToken: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed URL',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    iCalendar feed of upcoming bookings for the token's owner
+// @route   GET /api/v1/calendar/feed/:token.ics
+// @access  Public (token protected)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({ calendarToken: hashedToken, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.status(200).send(await buildUserFeed(user));
+  } catch (error) {
+    logger.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed
+};
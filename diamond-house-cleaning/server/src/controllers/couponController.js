@@ -0,0 +1,69 @@
+const { logger } = require('../middleware/loggerMiddleware');
+const { quoteBooking } = require('../services/quoteService');
+const { getTimeSlot } = require('../utils/timeSlots');
+
+// @desc    Preview a coupon against a set of services
+// @route   POST /api/v1/coupons/validate
+// @access  Private
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, services, propertyDetails, serviceAddress, scheduledDate, scheduledTimeSlot } = req.body;
+
+    const timeSlot = scheduledTimeSlot ? getTimeSlot(scheduledTimeSlot) : null;
+    if ((scheduledTimeSlot && !timeSlot) || (scheduledDate && Number.isNaN(new Date(scheduledDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid scheduled date and time slot are required'
+      });
+    }
+
+    // Priced through the same quote as booking creation so the preview matches the charge
+    const hasLocation = Boolean(serviceAddress?.zipCode || serviceAddress?.coordinates);
+    const { pricing, coupon: applied } = await quoteBooking(services, {
+      propertyDetails,
+      state: serviceAddress?.state,
+      serviceAddress: hasLocation ? serviceAddress : undefined,
+      couponCode: code,
+      scheduledDate,
+      timeSlot,
+      city: serviceAddress?.city
+    });
+    const { coupon, discount, eligibleSubtotal } = applied;
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        coupon: {
+          code: coupon.code,
+          name: coupon.name,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+          maximumDiscount: coupon.maximumDiscount
+        },
+        eligibleSubtotal,
+        discount,
+        pricing
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  validateCoupon
+};
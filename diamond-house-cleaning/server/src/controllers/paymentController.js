@@ -1,26 +1,19 @@
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
+const { getTransitionError, transitionBooking } = require('../services/bookingStatusService');
+const { isValidCheckoutSignature, refundPayment, refundLatePayment } = require('../services/paymentService');
+const { markNoShowFeePaid } = require('../services/noShowService');
 const { logger } = require('../middleware/loggerMiddleware');
 
-// Initialize Razorpay only if keys are available
-let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET &&
-    process.env.RAZORPAY_KEY_ID !== 'your-razorpay-key-id' &&
-    process.env.RAZORPAY_KEY_SECRET !== 'your-razorpay-key-secret') {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-  });
-}
-
 // @desc    Create payment order
 // @route   POST /api/v1/payments/create-order
 // @access  Private
 const createOrder = async (req, res) => {
   try {
-    const { bookingId, amount } = req.body;
+    const { bookingId } = req.body;
+    let { amount } = req.body;
 
     // Verify booking exists and belongs to user
     const booking = await Booking.findById(bookingId);
@@ -38,10 +31,31 @@ const createOrder = async (req, res) => {
       });
     }
 
-    if (booking.status !== 'confirmed') {
+    // A no-show with an unpaid fee is settled for the fee amount only
+    const noShowFeeDue = booking.status === 'no_show' && booking.noShow?.fee?.status === 'due';
+
+    if (!['pending', 'confirmed'].includes(booking.status) && !noShowFeeDue) {
       return res.status(400).json({
         success: false,
-        message: 'Booking must be confirmed before payment'
+        message: 'Booking must be pending or confirmed before payment'
+      });
+    }
+
+    if (noShowFeeDue) {
+      amount = booking.noShow.fee.amount;
+    } else if (booking.batch) {
+      // One payment and invoice cover the whole batch
+      return res.status(400).json({
+        success: false,
+        message: 'Bookings made in a bulk batch are paid together through the batch'
+      });
+    }
+
+    // An unpaid checkout can only be paid while its slot is still held
+    if (booking.status === 'pending' && booking.hold?.expiresAt && booking.hold.expiresAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'The slot hold for this booking has expired, please book again'
       });
     }
 
@@ -88,7 +102,8 @@ const createOrder = async (req, res) => {
         orderId: order.id,
         amount: order.amount,
         currency: order.currency,
-        paymentId: payment._id
+        paymentId: payment._id,
+        holdExpiresAt: booking.hold?.expiresAt
       }
     });
   } catch (error) {
@@ -109,38 +124,19 @@ const verifyPayment = async (req, res) => {
     const {
       razorpay_order_id,
       razorpay_payment_id,
-      razorpay_signature,
-      bookingId
+      razorpay_signature
     } = req.body;
 
     // Verify signature
-    const sign = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSign = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(sign.toString())
-      .digest('hex');
-
-    if (razorpay_signature !== expectedSign) {
+    if (!isValidCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
       return res.status(400).json({
         success: false,
         message: 'Payment verification failed'
       });
     }
 
-    // Update payment record
-    const payment = await Payment.findOneAndUpdate(
-      { transactionId: razorpay_order_id },
-      {
-        gatewayTransactionId: razorpay_payment_id,
-        status: 'success',
-        paymentDetails: {
-          razorpayOrderId: razorpay_order_id,
-          razorpayPaymentId: razorpay_payment_id,
-          razorpaySignature: razorpay_signature
-        }
-      },
-      { new: true }
-    );
+    // Update payment record (saved as a document so the invoice number is generated)
+    const payment = await Payment.findOne({ transactionId: razorpay_order_id });
 
     if (!payment) {
       return res.status(404).json({
@@ -149,20 +145,41 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Update booking status
-    await Booking.findByIdAndUpdate(bookingId, {
-      status: 'assigned',
-      payment: {
-        paymentId: payment._id,
-        paymentStatus: 'completed',
-        paymentMethod: 'razorpay'
+    payment.gatewayTransactionId = razorpay_payment_id;
+    payment.status = 'success';
+    payment.paymentDetails = {
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature
+    };
+    await payment.save();
+
+    // Link the payment to the booking it was ordered for, which also releases
+    // its slot hold (status is unchanged, staff assignment moves it on)
+    const booking = await Booking.findById(payment.bookingId);
+    if (booking) {
+      booking.payment = payment._id;
+
+      // The slot was given up when the hold ran out, so the payment goes back
+      if (booking.status === 'expired') {
+        const refunded = await refundLatePayment(booking, payment, 'Payment received after the booking expired');
+        return res.status(409).json({
+          success: false,
+          message: refunded
+            ? 'The slot hold for this booking expired before payment; the payment has been refunded, please book again'
+            : 'The slot hold for this booking expired before payment; the payment will be refunded, please book again',
+          data: { paymentId: payment._id, refunded }
+        });
       }
-    });
+
+      await markNoShowFeePaid(booking);
+      await booking.save();
+    }
 
     // TODO: Generate invoice
     // TODO: Send confirmation notifications
 
-    logger.info(`Payment verified: ${razorpay_payment_id} for booking ${bookingId}`);
+    logger.info(`Payment verified: ${razorpay_payment_id} for booking ${payment.bookingId}`);
 
     res.status(200).json({
       success: true,
@@ -243,34 +260,28 @@ const processRefund = async (req, res) => {
       });
     }
 
+    // Make sure the booking can move to 'refunded' before any money is returned
+    const booking = await Booking.findById(payment.bookingId);
+    const transitionError = booking && getTransitionError(booking, 'refunded', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message
+      });
+    }
+
     // Process refund via Razorpay
-    const refund = await razorpay.payments.refund(payment.gatewayTransactionId, {
-      amount: amount * 100, // amount in paise
-      notes: {
-        reason: reason || 'Customer requested refund'
-      }
+    const refund = await refundPayment(payment, amount, {
+      reason,
+      processedBy: req.user._id
     });
 
-    // Update payment record
-    payment.refund = {
-      isRefunded: true,
-      refundAmount: amount,
-      refundTransactionId: refund.id,
-      refundedAt: new Date(),
-      refundReason: reason
-    };
-    payment.status = 'refunded';
-    await payment.save();
-
     // Update booking status
-    await Booking.findByIdAndUpdate(payment.bookingId, {
-      status: 'refunded',
-      cancellation: {
-        isCancelled: true,
-        cancelledAt: new Date(),
-        refundAmount: amount
-      }
-    });
+    if (booking) {
+      transitionBooking(booking, 'refunded', { actor: req.user, reason: reason || 'Refund processed' });
+      booking.cancellation.refundAmount = amount;
+      await booking.save();
+    }
 
     logger.info(`Refund processed: ${refund.id} for payment ${payment._id}`);
 
@@ -284,6 +295,13 @@ const processRefund = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Process refund error:', error);
     res.status(500).json({
       success: false,
@@ -413,10 +431,16 @@ const handleRazorpayWebhook = async (req, res) => {
         break;
 
       case 'refund.processed':
-        // Refund was processed
+        // Refund was processed. Bookings paid together in a batch share the
+        // gateway payment, so a refund we started is matched by its own id.
         const refundEntity = req.body.payload.refund.entity;
         await Payment.findOneAndUpdate(
-          { gatewayTransactionId: refundEntity.payment_id },
+          {
+            $or: [
+              { 'refund.refundTransactionId': refundEntity.id },
+              { gatewayTransactionId: refundEntity.payment_id, batchId: { $exists: false } }
+            ]
+          },
           {
             'refund.isRefunded': true,
             'refund.refundAmount': refundEntity.amount / 100,
@@ -0,0 +1,184 @@
+const PricingRule = require('../models/PricingRule');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Fields an admin may set on a pricing rule
+const RULE_FIELDS = ['name', 'description', 'conditions', 'adjustment', 'priority', 'isActive'];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Schema and pre-validate failures are the caller's fault
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+// @desc    Get pricing rules
+// @route   GET /api/v1/pricing-rules
+// @access  Private/Admin
+const getPricingRules = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const rules = await PricingRule.find(filter).sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rules retrieved successfully',
+      data: { rules }
+    });
+  } catch (error) {
+    logger.error('Get pricing rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pricing rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single pricing rule
+// @route   GET /api/v1/pricing-rules/:id
+// @access  Private/Admin
+const getPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule retrieved successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    logger.error('Get pricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create pricing rule
+// @route   POST /api/v1/pricing-rules
+// @access  Private/Admin
+const createPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Pricing rule created: ${rule.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.error('Create pricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update pricing rule
+// @route   PUT /api/v1/pricing-rules/:id
+// @access  Private/Admin
+const updatePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    // Saved as a document so the adjustment and date checks run
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    logger.info(`Pricing rule updated: ${rule.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.error('Update pricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete pricing rule
+// @route   DELETE /api/v1/pricing-rules/:id
+// @access  Private/Admin
+const deletePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    // Bookings keep the rule's name and amount in pricing.appliedRules
+    await PricingRule.findByIdAndDelete(req.params.id);
+
+    logger.info(`Pricing rule deleted: ${rule.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete pricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getPricingRules,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+};
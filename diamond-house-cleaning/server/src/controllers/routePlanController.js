@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { logger } = require('../middleware/loggerMiddleware');
+const { planStaffRoute, planDayRoutes } = require('../services/routePlanningService');
+const { parseDateKey } = require('../utils/dateUtils');
+
+// Day from ?date=YYYY-MM-DD, today when omitted
+const getPlanDate = (req) => (req.query.date ? parseDateKey(req.query.date) : new Date());
+
+// @desc    Get the route plan of a staff member for a day
+// @route   GET /api/v1/route-plans/staff/:staffId?date= (staff use "me")
+// @access  Private/Staff/Admin
+const getStaffRoutePlan = async (req, res) => {
+  try {
+    const staffId = req.params.staffId === 'me' ? req.user._id.toString() : req.params.staffId;
+
+    if (req.user.role !== 'admin' && staffId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route plan'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(staffId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid staff ID is required'
+      });
+    }
+
+    const date = getPlanDate(req);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid date is required'
+      });
+    }
+
+    const plan = await planStaffRoute(staffId, date);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route plan retrieved successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get staff route plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to plan route',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get route plans for every staff member working on a day
+// @route   GET /api/v1/route-plans?date=
+// @access  Private/Admin
+const getDayRoutePlans = async (req, res) => {
+  try {
+    const date = getPlanDate(req);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid date is required'
+      });
+    }
+
+    const plans = await planDayRoutes(date);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route plans retrieved successfully',
+      data: { plans }
+    });
+  } catch (error) {
+    logger.error('Get day route plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to plan routes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getStaffRoutePlan,
+  getDayRoutePlans
+};
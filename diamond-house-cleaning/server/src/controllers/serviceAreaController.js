@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const ServiceArea = require('../models/ServiceArea');
+const Service = require('../models/Service');
+const { logger } = require('../middleware/loggerMiddleware');
+const { getCoverage } = require('../services/serviceAreaService');
+
+// Fields an admin may set on a service area
+const AREA_FIELDS = ['name', 'pincodes', 'boundary', 'services', 'travelSurcharge', 'isActive'];
+
+const pickAreaFields = (body) => AREA_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Schema and pre-validate failures are the caller's fault
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+// @desc    Check whether we serve a pincode (and, optionally, which services)
+// @route   GET /api/v1/service-areas/check?pincode=&services=&latitude=&longitude=
+// @access  Public
+const checkServiceArea = async (req, res) => {
+  try {
+    const { pincode, latitude, longitude } = req.query;
+    const coordinates = latitude !== undefined && longitude !== undefined ? { latitude, longitude } : undefined;
+
+    if (pincode !== undefined && !/^\d{6}$/.test(pincode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid 6-digit pincode is required'
+      });
+    }
+
+    if (!pincode && !coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pincode or latitude and longitude are required'
+      });
+    }
+
+    const serviceIds = req.query.services ? String(req.query.services).split(',').map(id => id.trim()).filter(Boolean) : [];
+    if (serviceIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Services must be a comma-separated list of service IDs'
+      });
+    }
+
+    const services = await Service.find({ _id: { $in: serviceIds } }).select('serviceName');
+    const coverage = await getCoverage({ pincode, coordinates }, serviceIds.map(id => ({
+      serviceId: id,
+      serviceName: services.find(service => service._id.toString() === id)?.serviceName
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: coverage.covered ? 'This location is serviceable' : coverage.reason,
+      data: {
+        pincode,
+        serviceable: coverage.covered,
+        area: coverage.area ? { id: coverage.area._id, name: coverage.area.name } : null,
+        travelSurcharge: coverage.travelSurcharge,
+        uncoveredServiceIds: coverage.uncoveredServiceIds
+      }
+    });
+  } catch (error) {
+    logger.error('Check service area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get service areas
+// @route   GET /api/v1/service-areas
+// @access  Private/Admin
+const getServiceAreas = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.pincode) {
+      filter.pincodes = req.query.pincode;
+    }
+
+    const areas = await ServiceArea.find(filter)
+      .populate('services', 'serviceName')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Service areas retrieved successfully',
+      data: { areas }
+    });
+  } catch (error) {
+    logger.error('Get service areas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve service areas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single service area
+// @route   GET /api/v1/service-areas/:id
+// @access  Private/Admin
+const getServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.findById(req.params.id)
+      .populate('services', 'serviceName');
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area retrieved successfully',
+      data: { area }
+    });
+  } catch (error) {
+    logger.error('Get service area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create service area
+// @route   POST /api/v1/service-areas
+// @access  Private/Admin
+const createServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.create({
+      ...pickAreaFields(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Service area created: ${area.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service area created successfully',
+      data: { area }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.error('Create service area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update service area
+// @route   PUT /api/v1/service-areas/:id
+// @access  Private/Admin
+const updateServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.findById(req.params.id);
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found'
+      });
+    }
+
+    // Saved as a document so the pincode/boundary check runs
+    area.set(pickAreaFields(req.body));
+    await area.save();
+
+    logger.info(`Service area updated: ${area.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area updated successfully',
+      data: { area }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.error('Update service area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete service area
+// @route   DELETE /api/v1/service-areas/:id
+// @access  Private/Admin
+const deleteServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.findById(req.params.id);
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found'
+      });
+    }
+
+    await ServiceArea.findByIdAndDelete(req.params.id);
+
+    logger.info(`Service area deleted: ${area.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete service area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  checkServiceArea,
+  getServiceAreas,
+  getServiceArea,
+  createServiceArea,
+  updateServiceArea,
+  deleteServiceArea
+};
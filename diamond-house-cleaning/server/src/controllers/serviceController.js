@@ -1,5 +1,7 @@
 const Service = require('../models/Service');
 const { logger } = require('../middleware/loggerMiddleware');
+const { quoteBooking } = require('../services/quoteService');
+const { getTimeSlot } = require('../utils/timeSlots');
 
 // @desc    Get all services
 // @route   GET /api/v1/services
@@ -224,6 +226,78 @@ const searchServices = async (req, res) => {
   }
 };
 
+// @desc    Get an itemised price estimate for services on a property
+// @route   POST /api/v1/services/quote
+// @access  Public
+const getQuote = async (req, res) => {
+  try {
+    const { services, propertyDetails, serviceAddress, couponCode, scheduledDate, scheduledTimeSlot } = req.body;
+
+    if (!Array.isArray(services) || services.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one service is required'
+      });
+    }
+
+    // With a date and slot the quote includes the pricing rules for them
+    const timeSlot = scheduledTimeSlot ? getTimeSlot(scheduledTimeSlot) : null;
+    if ((scheduledTimeSlot && !timeSlot) || (scheduledDate && Number.isNaN(new Date(scheduledDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid scheduled date and time slot are required'
+      });
+    }
+
+    // An address with a pincode or coordinates is checked against the service areas
+    const hasLocation = Boolean(serviceAddress?.zipCode || serviceAddress?.coordinates);
+    const quote = await quoteBooking(services, {
+      propertyDetails,
+      state: serviceAddress?.state,
+      serviceAddress: hasLocation ? serviceAddress : undefined,
+      couponCode,
+      scheduledDate,
+      timeSlot,
+      city: serviceAddress?.city
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote calculated successfully',
+      data: {
+        items: quote.services.map(line => ({
+          serviceId: line.serviceId,
+          serviceName: line.serviceName,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          charges: line.charges,
+          addOns: line.addOns,
+          subtotal: line.subtotal
+        })),
+        propertyDetails,
+        serviceArea: quote.serviceArea ? { id: quote.serviceArea._id, name: quote.serviceArea.name } : undefined,
+        coupon: quote.coupon ? { code: quote.coupon.coupon.code, discount: quote.coupon.discount } : undefined,
+        pricing: quote.pricing
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Create service
 // @route   POST /api/v1/services
 // @access  Private/Admin
@@ -329,6 +403,7 @@ module.exports = {
   getServicesByCategory,
   getFeaturedServices,
   searchServices,
+  getQuote,
   createService,
   updateService,
   deleteService
@@ -0,0 +1,488 @@
+const Subscription = require('../models/Subscription');
+const Booking = require('../models/Booking');
+const { logger } = require('../middleware/loggerMiddleware');
+const {
+  getSubscriptionDiscount,
+  generateBookings,
+  generateAllBookings,
+  regenerateUpcomingBookings,
+  skipOccurrence,
+  pauseSubscription: pauseSubscriptionService,
+  resumeSubscription: resumeSubscriptionService,
+  cancelSubscription: cancelSubscriptionService
+} = require('../services/subscriptionService');
+const { buildBookingServices } = require('../services/pricingService');
+const { assertCoverage } = require('../services/serviceAreaService');
+const { getTimeSlot } = require('../utils/timeSlots');
+const { parseDateKey } = require('../utils/dateUtils');
+
+// Changes that alter the bookings a subscription generates
+const SCHEDULE_FIELDS = ['scheduledTimeSlot', 'serviceAddress', 'daysOfWeek', 'services', 'endDate'];
+
+// Load a subscription the current user may manage, or send the error response
+const findSubscriptionForUser = async (req, res) => {
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Subscription not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && subscription.customerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this subscription'
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// Validate requested services against the catalogue and the service areas of
+// the address, and keep catalogue references only; prices are looked up again
+// each time bookings are generated
+const resolveSubscriptionServices = async (services, serviceAddress) => {
+  const { services: lines } = await buildBookingServices(services);
+  await assertCoverage(serviceAddress, lines);
+
+  return lines.map(line => ({
+    serviceId: line.serviceId,
+    quantity: line.quantity,
+    addOns: line.addOns.map(({ addOnId, name, quantity }) => ({ addOnId, name, quantity }))
+  }));
+};
+
+// @desc    Create subscription
+// @route   POST /api/v1/subscriptions
+// @access  Private
+const createSubscription = async (req, res) => {
+  try {
+    const {
+      services,
+      serviceAddress,
+      frequency,
+      daysOfWeek,
+      scheduledTimeSlot,
+      startDate,
+      endDate,
+      specialInstructions
+    } = req.body;
+
+    const timeSlot = getTimeSlot(scheduledTimeSlot);
+    if (!timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time slot'
+      });
+    }
+
+    const start = parseDateKey(startDate);
+    const end = endDate ? parseDateKey(endDate) : undefined;
+    if (!start || end === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end dates are required'
+      });
+    }
+
+    // Fail early on unknown or inactive services and add-ons, or an address we don't serve
+    const subscriptionServices = await resolveSubscriptionServices(services, serviceAddress);
+
+    const subscription = await Subscription.create({
+      customerId: req.user.role === 'admin' && req.body.customerId ? req.body.customerId : req.user._id,
+      services: subscriptionServices,
+      serviceAddress,
+      frequency,
+      daysOfWeek,
+      scheduledTimeSlot: timeSlot.label,
+      startDate: start,
+      endDate: end,
+      pricing: {
+        discountPercent: await getSubscriptionDiscount(frequency)
+      },
+      specialInstructions
+    });
+
+    const { created, skipped } = await generateBookings(subscription);
+
+    logger.info(`Subscription created: ${subscription._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: { subscription, bookings: created, skipped }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get subscriptions
+// @route   GET /api/v1/subscriptions
+// @access  Private
+const getSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    let filter = {};
+
+    if (req.user.role !== 'admin') {
+      filter.customerId = req.user._id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('customerId', 'firstName lastName email phone')
+      .populate('services.serviceId', 'serviceName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Subscription.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscriptions retrieved successfully',
+      data: {
+        subscriptions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve subscriptions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single subscription with its upcoming bookings
+// @route   GET /api/v1/subscriptions/:id
+// @access  Private
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    await subscription.populate('services.serviceId', 'serviceName pricing duration');
+
+    const upcomingBookings = await Booking.find({
+      subscription: subscription._id,
+      scheduledDate: { $gte: new Date() }
+    }).sort({ scheduledDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription retrieved successfully',
+      data: { subscription, upcomingBookings }
+    });
+  } catch (error) {
+    logger.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update subscription; upcoming bookings that can still be withdrawn are regenerated
+// @route   PUT /api/v1/subscriptions/:id
+// @access  Private
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled subscriptions cannot be updated'
+      });
+    }
+
+    if (req.body.scheduledTimeSlot) {
+      const timeSlot = getTimeSlot(req.body.scheduledTimeSlot);
+      if (!timeSlot) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid time slot'
+        });
+      }
+      subscription.scheduledTimeSlot = timeSlot.label;
+    }
+
+    const allowedFields = ['serviceAddress', 'daysOfWeek', 'specialInstructions'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+
+    if (req.body.services || req.body.serviceAddress) {
+      subscription.services = await resolveSubscriptionServices(
+        req.body.services || subscription.services,
+        subscription.serviceAddress
+      );
+    }
+
+    if (req.body.endDate !== undefined) {
+      const endDate = req.body.endDate ? parseDateKey(req.body.endDate) : undefined;
+      if (endDate === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid end date is required'
+        });
+      }
+      subscription.endDate = endDate;
+    }
+
+    await subscription.save();
+
+    const rescheduled = SCHEDULE_FIELDS.some(field => req.body[field] !== undefined);
+    const { withdrawn, created, skipped } = rescheduled
+      ? await regenerateUpcomingBookings(subscription, req.user)
+      : { withdrawn: 0, created: [], skipped: [] };
+
+    logger.info(`Subscription updated: ${subscription._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: { subscription, withdrawn, bookings: created, skipped }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Skip a single occurrence
+// @route   POST /api/v1/subscriptions/:id/skip
+// @access  Private
+const skipSubscriptionOccurrence = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    const date = parseDateKey(req.body.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid occurrence date is required'
+      });
+    }
+
+    const result = await skipOccurrence(subscription, date, req.user);
+
+    logger.info(`Subscription occurrence skipped: ${subscription._id} on ${result.date} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence skipped successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Pause subscription
+// @route   POST /api/v1/subscriptions/:id/pause
+// @access  Private
+const pauseSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    const until = req.body.until ? parseDateKey(req.body.until) : undefined;
+    if (until === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid pause end date is required'
+      });
+    }
+    const result = await pauseSubscriptionService(subscription, { until, reason: req.body.reason }, req.user);
+
+    logger.info(`Subscription paused: ${subscription._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription paused successfully',
+      data: { subscription, ...result }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Pause subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Resume subscription
+// @route   POST /api/v1/subscriptions/:id/resume
+// @access  Private
+const resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    const { created, skipped } = await resumeSubscriptionService(subscription);
+
+    logger.info(`Subscription resumed: ${subscription._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription resumed successfully',
+      data: { subscription, bookings: created, skipped }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Resume subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel subscription
+// @route   DELETE /api/v1/subscriptions/:id
+// @access  Private
+const cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req, res);
+    if (!subscription) return;
+
+    const result = await cancelSubscriptionService(
+      subscription,
+      req.body?.reason || 'Cancelled by user',
+      req.user
+    );
+
+    logger.info(`Subscription cancelled: ${subscription._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription cancelled successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Generate upcoming bookings for all subscriptions
+// @route   POST /api/v1/subscriptions/generate
+// @access  Private/Admin
+const generateSubscriptionBookings = async (req, res) => {
+  try {
+    const summary = await generateAllBookings();
+
+    logger.info(`Subscription bookings generated by ${req.user.email}: ${summary.created} created`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription bookings generated successfully',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Generate subscription bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate subscription bookings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  skipSubscriptionOccurrence,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  generateSubscriptionBookings
+};
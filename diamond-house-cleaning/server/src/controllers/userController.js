@@ -160,18 +160,26 @@ const getUser = async (req, res) => {
 // @access  Private/Admin
 const updateUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, role, isActive } = req.body;
+    const { firstName, lastName, email, phone, role, isActive, requiresPrepayment } = req.body;
+
+    const update = {
+      firstName,
+      lastName,
+      email,
+      phone,
+      role,
+      isActive
+    };
+
+    // Admins can lift (or set) the no-show prepayment flag by hand
+    if (requiresPrepayment !== undefined) {
+      update['noShow.requiresPrepayment'] = Boolean(requiresPrepayment);
+      update['noShow.flaggedAt'] = requiresPrepayment ? new Date() : null;
+    }
 
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
-      {
-        firstName,
-        lastName,
-        email,
-        phone,
-        role,
-        isActive
-      },
+      update,
       {
         new: true,
         runValidators: true
@@ -0,0 +1,276 @@
+const Waitlist = require('../models/Waitlist');
+const { logger } = require('../middleware/loggerMiddleware');
+const {
+  getPosition,
+  joinWaitlist,
+  expireOffers,
+  confirmOffer,
+  leaveWaitlist
+} = require('../services/waitlistService');
+const { getTimeSlot } = require('../utils/timeSlots');
+const { parseDateKey } = require('../utils/dateUtils');
+
+// Load a waitlist entry the current user may manage, or send the error response
+const findEntryForUser = async (req, res) => {
+  const entry = await Waitlist.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && entry.customerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this waitlist entry'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @desc    Join the waitlist for a fully booked slot
+// @route   POST /api/v1/waitlist
+// @access  Private/Customer
+const joinSlotWaitlist = async (req, res) => {
+  try {
+    const {
+      services,
+      serviceAddress,
+      propertyDetails,
+      specialInstructions,
+      scheduledDate,
+      scheduledTimeSlot
+    } = req.body;
+
+    const timeSlot = getTimeSlot(scheduledTimeSlot);
+    if (!timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time slot'
+      });
+    }
+
+    const day = parseDateKey(scheduledDate);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid scheduled date is required'
+      });
+    }
+
+    const entry = await joinWaitlist(req.user._id, {
+      services,
+      serviceAddress,
+      propertyDetails,
+      specialInstructions,
+      scheduledDate: day,
+      timeSlot
+    });
+
+    logger.info(`Waitlist joined for ${scheduledDate} ${timeSlot.label} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist successfully',
+      data: { entry, position: await getPosition(entry) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join the waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/v1/waitlist
+// @access  Private
+const getWaitlistEntries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    let filter = {};
+
+    if (req.user.role !== 'admin') {
+      filter.customerId = req.user._id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.date) {
+      filter.scheduledDate = parseDateKey(req.query.date);
+    }
+
+    const entries = await Waitlist.find(filter)
+      .populate('customerId', 'firstName lastName email phone')
+      .populate('services.serviceId', 'serviceName')
+      .sort({ scheduledDate: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Waitlist.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist entries retrieved successfully',
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get waitlist entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve waitlist entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get waitlist entry with queue position
+// @route   GET /api/v1/waitlist/:id
+// @access  Private
+const getWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res);
+    if (!entry) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist entry retrieved successfully',
+      data: { entry, position: await getPosition(entry) }
+    });
+  } catch (error) {
+    logger.error('Get waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve waitlist entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Confirm an open offer and create the booking
+// @route   POST /api/v1/waitlist/:id/confirm
+// @access  Private
+const confirmWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res);
+    if (!entry) return;
+
+    const booking = await confirmOffer(entry, req.user);
+
+    logger.info(`Waitlist offer confirmed: ${booking.bookingNumber} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created from waitlist successfully',
+      data: { entry, booking }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
+
+    logger.error('Confirm waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm waitlist offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/v1/waitlist/:id
+// @access  Private
+const leaveSlotWaitlist = async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res);
+    if (!entry) return;
+
+    await leaveWaitlist(entry);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave the waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Expire lapsed offers and pass their slots on
+// @route   POST /api/v1/waitlist/process
+// @access  Private/Admin
+const processWaitlistOffers = async (req, res) => {
+  try {
+    const summary = await expireOffers();
+
+    logger.info(`Waitlist processed by ${req.user.email}: ${summary.expired} expired, ${summary.offered} offered`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist processed successfully',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Process waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  joinSlotWaitlist,
+  getWaitlistEntries,
+  getWaitlistEntry,
+  confirmWaitlistOffer,
+  leaveSlotWaitlist,
+  processWaitlistOffers
+};
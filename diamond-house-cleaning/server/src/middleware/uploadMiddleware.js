@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Booking files are not served statically; they are streamed by the booking
+// files endpoint after an access check
+const UPLOAD_ROOT = path.join(__dirname, '../../private-uploads');
+
+// Upload folders, one per kind of booking file
+const UPLOAD_FOLDERS = ['completions', 'no-shows', 'messages'];
+
+// File types that can be accepted: the stored extension and the leading bytes
+// every file of the type starts with (WebP is RIFF....WEBP)
+const FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', signatures: [[0xff, 0xd8, 0xff]] },
+  'image/png': { extension: '.png', signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+  'image/gif': { extension: '.gif', signatures: [[0x47, 0x49, 0x46, 0x38]] },
+  'image/webp': { extension: '.webp', signatures: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]] },
+  'application/pdf': { extension: '.pdf', signatures: [[0x25, 0x50, 0x44, 0x46, 0x2d]] }
+};
+
+// Configured types we know how to verify
+const getAllowedTypes = () => (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp')
+  .split(',')
+  .map(type => type.trim())
+  .filter(type => FILE_TYPES[type]);
+
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+const listFiles = (files) => (Array.isArray(files) ? files : Object.values(files || {}).flat());
+
+// Whether a stored file's content starts like its declared type
+const matchesDeclaredType = async (file) => {
+  const { signatures } = FILE_TYPES[file.mimetype];
+  const length = Math.max(...signatures.map(signature => signature.length));
+  const handle = await fs.promises.open(file.path, 'r');
+
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return signatures.some(signature => bytesRead >= signature.length &&
+      signature.every((byte, index) => byte === null || buffer[index] === byte));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Disk storage under the upload root/<folder> with random file names. The
+// extension comes from the declared type, which is checked against the file
+// content once stored, so a file is never served as anything but that type.
+const createUpload = (folder) => {
+  const destination = path.join(UPLOAD_ROOT, folder);
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        fs.mkdir(destination, { recursive: true }, error => cb(error, destination));
+      },
+      filename: (req, file, cb) => {
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${FILE_TYPES[file.mimetype].extension}`);
+      }
+    }),
+    limits: { fileSize: getMaxFileSize() },
+    fileFilter: (req, file, cb) => {
+      if (!getAllowedTypes().includes(file.mimetype)) {
+        return cb(new ErrorResponse(`File type ${file.mimetype} is not allowed`, 400));
+      }
+      cb(null, true);
+    }
+  });
+
+  const verified = (handler) => (req, res, next) => handler(req, res, async (error) => {
+    if (error) return next(error);
+
+    try {
+      for (const file of listFiles(req.files)) {
+        if (!(await matchesDeclaredType(file))) {
+          await removeUploads(req.files);
+          return next(new ErrorResponse(`File ${file.originalname} is not a valid ${file.mimetype} file`, 400));
+        }
+      }
+      next();
+    } catch (verifyError) {
+      await removeUploads(req.files);
+      next(verifyError);
+    }
+  });
+
+  return {
+    array: (...args) => verified(upload.array(...args)),
+    fields: (...args) => verified(upload.fields(...args))
+  };
+};
+
+// URL of a stored booking file, served by GET /api/v1/bookings/:id/files/:folder/:fileName
+const getUploadUrl = (file, bookingId) => `/api/v1/bookings/${bookingId}/files/${path.relative(UPLOAD_ROOT, file.path).split(path.sep).join('/')}`;
+
+// Absolute path of a stored file, or null for anything outside the upload folders
+const getUploadPath = (folder, fileName) => {
+  if (!UPLOAD_FOLDERS.includes(folder) || !/^[\w-]+\.[a-z]+$/.test(fileName)) return null;
+  return path.join(UPLOAD_ROOT, folder, fileName);
+};
+
+// Delete files stored for a request that was rejected after upload
+const removeUploads = async (files) => {
+  await Promise.all(listFiles(files).map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Before/after photos for job completion reports
+const completionPhotos = createUpload('completions').fields([
+  { name: 'beforePhotos', maxCount: 10 },
+  { name: 'afterPhotos', maxCount: 10 }
+]);
+
+// Evidence photos for no-show reports
+const noShowPhotos = createUpload('no-shows').array('photos', 5);
+
+// Files attached to booking thread messages
+const messageAttachments = createUpload('messages').array('attachments', 5);
+
+module.exports = {
+  createUpload,
+  getUploadUrl,
+  getUploadPath,
+  removeUploads,
+  completionPhotos,
+  noShowPhotos,
+  messageAttachments
+};
@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const SlotHold = require('./SlotHold');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay } = require('../utils/dateUtils');
+
+// Where and when a staff member checked in or out of a job
+const attendanceStamp = {
+  at: Date,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  distanceMeters: Number, // from the service address
+  locationVerified: Boolean // false when the address has no coordinates
+};
 
 const bookingSchema = new mongoose.Schema({
   bookingNumber: {
@@ -31,7 +46,26 @@ const bookingSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Base price cannot be negative']
     },
+    unitPrice: {
+      type: Number, // per unit after property-size charges, before add-ons
+      min: [0, 'Unit price cannot be negative']
+    },
+    charges: {
+      base: Number, // after pricing rules
+      pricingRules: Number, // what the pricing rules added to the base price (negative for reductions)
+      area: Number,
+      rooms: Number,
+      bathrooms: Number,
+      minimumAdjustment: Number
+    },
+    duration: {
+      type: Number, // in minutes, per unit
+      min: [0, 'Duration cannot be negative']
+    },
+    hsnSac: String,
+    gstRate: Number, // percentage applied to this line
     addOns: [{
+      addOnId: mongoose.Schema.Types.ObjectId, // Service.addOns entry
       name: {
         type: String,
         required: true
@@ -40,6 +74,16 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: [0, 'Add-on price cannot be negative']
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Add-on quantity must be at least 1']
+      },
+      duration: {
+        type: Number, // in minutes, per add-on unit
+        default: 0,
+        min: [0, 'Duration cannot be negative']
       }
     }],
     subtotal: {
@@ -74,11 +118,34 @@ const bookingSchema = new mongoose.Schema({
       longitude: Number
     }
   },
+  // Service area the address was matched to when the booking was priced
+  serviceArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceArea'
+  },
+  propertyDetails: {
+    squareFeet: {
+      type: Number,
+      min: [0, 'Square feet cannot be negative']
+    },
+    rooms: {
+      type: Number,
+      min: [0, 'Rooms cannot be negative']
+    },
+    bathrooms: {
+      type: Number,
+      min: [0, 'Bathrooms cannot be negative']
+    }
+  },
   scheduledDate: {
     type: Date,
     required: [true, 'Scheduled date is required'],
     validate: {
       validator: function(date) {
+        // Only check when the date is being set, so past bookings can still be saved
+        if (typeof this.isModified === 'function' && !this.isNew && !this.isModified('scheduledDate')) {
+          return true;
+        }
         return date >= new Date();
       },
       message: 'Scheduled date cannot be in the past'
@@ -105,17 +172,111 @@ const bookingSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Discount cannot be negative']
     },
+    travelSurcharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Travel surcharge cannot be negative']
+    },
     total: {
       type: Number,
       required: true,
       min: [0, 'Total cannot be negative']
+    },
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      discount: Number
+    },
+    // Pricing rules that adjusted the base prices, for receipts; amount is the
+    // total the rule added across all service lines
+    appliedRules: [{
+      _id: false,
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PricingRule'
+      },
+      name: String,
+      adjustmentType: {
+        type: String,
+        enum: ['multiplier', 'flat']
+      },
+      value: Number,
+      amount: Number
+    }],
+    taxBreakdown: {
+      supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state']
+      },
+      placeOfSupply: String,
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      lines: [{
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Service'
+        },
+        hsnSac: String,
+        taxableAmount: Number,
+        rate: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number
+      }]
     }
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled', 'no_show', 'refunded', 'expired'],
     default: 'pending'
   },
+  // Checkout hold: an unpaid pending booking only keeps its capacity until expiresAt
+  hold: {
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold'
+    },
+    expiresAt: Date
+  },
+  // iCalendar SEQUENCE, bumped whenever anything shown in calendar events changes
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'staff', 'admin', 'system'],
+      default: 'system'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   assignedStaff: [{
     staffId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -136,10 +297,59 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Special instructions cannot exceed 500 characters']
   },
+  attendance: [{
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    checkIn: attendanceStamp,
+    checkOut: attendanceStamp
+  }],
+  actualDuration: {
+    type: Number, // in minutes, first check-in to last check-out
+    min: [0, 'Duration cannot be negative']
+  },
   completion: {
     completedAt: Date,
-    notes: String,
-    photos: [String], // URLs to completion photos
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: [2000, 'Completion notes cannot exceed 2000 characters']
+    },
+    photos: [{
+      url: {
+        type: String,
+        required: true
+      },
+      stage: {
+        type: String,
+        enum: ['before', 'after'],
+        required: true
+      },
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    checklist: [{
+      item: {
+        type: String,
+        required: true
+      },
+      done: {
+        type: Boolean,
+        default: false
+      },
+      notes: String
+    }],
     rating: {
       type: Number,
       min: 1,
@@ -147,6 +357,21 @@ const bookingSchema = new mongoose.Schema({
     },
     feedback: String
   },
+  rescheduleHistory: [{
+    fromDate: Date,
+    fromTimeSlot: String,
+    toDate: Date,
+    toTimeSlot: String,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
   cancellation: {
     isCancelled: {
       type: Boolean,
@@ -160,21 +385,68 @@ const bookingSchema = new mongoose.Schema({
     cancellationReason: String,
     refundAmount: Number
   },
+  // Lead's report that the team arrived but could not get in, and the fee that followed
+  noShow: {
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reportedAt: Date,
+    notes: {
+      type: String,
+      maxlength: [1000, 'No-show notes cannot exceed 1000 characters']
+    },
+    photos: [String],
+    location: attendanceStamp,
+    fee: {
+      amount: {
+        type: Number,
+        min: [0, 'No-show fee cannot be negative']
+      },
+      // withheld: kept from the paid amount; due: the customer owes it
+      status: {
+        type: String,
+        enum: ['none', 'withheld', 'due', 'paid']
+      }
+    },
+    refundAmount: Number
+  },
+  // Customers flagged for repeat no-shows must pay before a booking is confirmed
+  prepaymentRequired: {
+    type: Boolean,
+    default: false
+  },
   payment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Set on bookings created together through the bulk booking API
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingBatch'
+  },
+  // Delivery log, one entry per channel; reminder entries also prevent repeats
   notifications: [{
     type: {
       type: String,
-      enum: ['email', 'sms', 'push']
+      enum: ['in_app', 'email', 'sms', 'push']
+    },
+    reminder: String, // e.g. customer_24h, staff_next_day
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
     sentAt: Date,
     status: {
       type: String,
       enum: ['sent', 'failed', 'pending'],
       default: 'pending'
-    }
+    },
+    error: String
   }]
 }, {
   timestamps: true,
@@ -186,38 +458,85 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ customerId: 1, createdAt: -1 });
 bookingSchema.index({ status: 1, scheduledDate: 1 });
 bookingSchema.index({ assignedStaff: 1 });
+bookingSchema.index({ subscription: 1, scheduledDate: 1 });
+bookingSchema.index({ batch: 1 });
+bookingSchema.index({ status: 1, 'hold.expiresAt': 1 });
 
-// Pre-save middleware to generate booking number
-bookingSchema.pre('save', async function(next) {
+// Generate the booking number before validation so the required check passes:
+// DC + YYYYMMDD + 4-digit daily sequence by default
+bookingSchema.pre('validate', async function() {
   if (this.isNew && !this.bookingNumber) {
-    // Generate booking number: DC + YYYYMMDD + 4-digit sequence
-    const date = new Date();
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-    const count = await mongoose.model('Booking').countDocuments({
-      createdAt: {
-        $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
-        $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
-      }
-    });
-    const sequence = (count + 1).toString().padStart(4, '0');
-    this.bookingNumber = `DC${dateStr}${sequence}`;
+    this.bookingNumber = await Counter.nextSequence('booking');
+  }
+});
+
+// Status changes must go through bookingStatusService so they are recorded
+bookingSchema.pre('save', function() {
+  if (this.isNew) {
+    // Callers record who created the booking; anything else is the system's doing
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actorRole: 'system' });
+    }
+    return;
+  }
+
+  if (this.isModified('status')) {
+    const lastChange = this.statusHistory[this.statusHistory.length - 1];
+    if (!lastChange || lastChange.to !== this.status) {
+      throw new Error(`Booking status change to '${this.status}' was not recorded in statusHistory`);
+    }
+  }
+});
+
+// A paid booking, or one that has left 'pending', no longer needs its checkout hold
+bookingSchema.pre('save', function() {
+  if (this.hold?.holdId && (this.payment || this.status !== 'pending')) {
+    this.$locals.releasedHoldId = this.hold.holdId;
+    this.hold = undefined;
+  }
+});
+
+bookingSchema.post('save', async function() {
+  if (this.$locals.releasedHoldId) {
+    await SlotHold.deleteOne({ _id: this.$locals.releasedHoldId });
+    delete this.$locals.releasedHoldId;
+  }
+});
+
+// Fields that appear in calendar events; changing any of them re-issues the event
+const CALENDAR_FIELDS = ['scheduledDate', 'scheduledTimeSlot', 'status', 'serviceAddress', 'services', 'assignedStaff', 'specialInstructions'];
+
+bookingSchema.pre('save', function() {
+  if (!this.isNew && CALENDAR_FIELDS.some(path => this.isModified(path))) {
+    this.calendarSequence += 1;
   }
-  next();
 });
 
 // Virtual for duration (calculated from services)
 bookingSchema.virtual('estimatedDuration').get(function() {
   // Assuming each service has a duration, sum them up
   return this.services.reduce((total, service) => {
-    // This would need to be calculated based on service duration
-    return total + (service.quantity * 60); // Default 60 minutes per service
+    // Older bookings have no stored duration, default to 60 minutes per service
+    const addOnMinutes = service.addOns.reduce((sum, addOn) => sum + (addOn.duration || 0) * (addOn.quantity || 1), 0);
+    return total + (service.quantity * ((service.duration || 60) + addOnMinutes));
   }, 0);
 });
 
+// When the booking's time slot starts. scheduledDate may hold only the day
+// (bookings store what the client sent), so the slot gives the time.
+bookingSchema.methods.getStartTime = function() {
+  const slot = getTimeSlot(this.scheduledTimeSlot);
+  if (!slot) return new Date(this.scheduledDate);
+
+  const start = startOfDay(this.scheduledDate);
+  start.setMinutes(toMinutes(slot.startTime));
+  return start;
+};
+
 // Instance method to check if booking can be cancelled
 bookingSchema.methods.canCancel = function() {
   const now = new Date();
-  const scheduledTime = new Date(this.scheduledDate);
+  const scheduledTime = this.getStartTime();
 
   // Cannot cancel if less than 2 hours before scheduled time
   const twoHoursBefore = new Date(scheduledTime.getTime() - 2 * 60 * 60 * 1000);
@@ -226,14 +545,14 @@ bookingSchema.methods.canCancel = function() {
 };
 
 // Instance method to check if booking can be rescheduled
-bookingSchema.methods.canReschedule = function() {
+bookingSchema.methods.canReschedule = function(rescheduleHours = 4) {
   const now = new Date();
-  const scheduledTime = new Date(this.scheduledDate);
+  const scheduledTime = this.getStartTime();
 
-  // Cannot reschedule if less than 4 hours before scheduled time
-  const fourHoursBefore = new Date(scheduledTime.getTime() - 4 * 60 * 60 * 1000);
+  // Cannot reschedule if less than `rescheduleHours` (default 4) before scheduled time
+  const cutoff = new Date(scheduledTime.getTime() - rescheduleHours * 60 * 60 * 1000);
 
-  return now < fourHoursBefore && ['pending', 'confirmed', 'assigned'].includes(this.status);
+  return now < cutoff && ['pending', 'confirmed', 'assigned'].includes(this.status);
 };
 
 // Static method to get bookings by date range
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Parent record for bookings created together through the bulk booking API.
+// The bookings are paid with one payment and billed on one consolidated
+// invoice, numbered once the payment succeeds.
+const bookingBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  source: {
+    type: String,
+    enum: ['json', 'csv'],
+    default: 'json'
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  totals: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    travelSurcharge: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  payment: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'initiated', 'paid'],
+      default: 'unpaid'
+    },
+    orderId: String, // gateway order for `amount`
+    gatewayTransactionId: String,
+    amount: Number,
+    // Bookings the order covers: those still open and unpaid when it was created
+    bookings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    }],
+    paidAt: Date
+  },
+  invoice: {
+    invoiceNumber: String,
+    generatedAt: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bookingBatchSchema.virtual('bookingCount').get(function() {
+  return this.bookings ? this.bookings.length : 0;
+});
+
+// Indexes for better query performance
+bookingBatchSchema.index({ customerId: 1, createdAt: -1 });
+
+// Batch number on creation (BB + YYYY + sequence by default) and the
+// consolidated invoice number once the batch is paid
+bookingBatchSchema.pre('validate', async function() {
+  if (this.isNew && !this.batchNumber) {
+    this.batchNumber = await Counter.nextSequence('booking_batch');
+  }
+
+  if (this.payment?.status === 'paid' && !this.invoice?.invoiceNumber) {
+    this.invoice.invoiceNumber = await Counter.nextSequence('invoice');
+    this.invoice.generatedAt = new Date();
+  }
+});
+
+module.exports = mongoose.model('BookingBatch', bookingBatchSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One message in a booking's thread between the customer, assigned staff and admins
+const bookingMessageSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  senderRole: {
+    type: String,
+    enum: ['customer', 'staff', 'admin'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  attachments: [{
+    url: {
+      type: String,
+      required: true
+    },
+    fileName: String,
+    mimeType: String,
+    size: Number
+  }],
+  // Internal notes are only visible to staff and admins
+  visibility: {
+    type: String,
+    enum: ['all', 'internal'],
+    default: 'all'
+  },
+  readBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookingMessageSchema.index({ bookingId: 1, createdAt: 1 });
+
+// A message needs text or at least one attachment
+bookingMessageSchema.pre('validate', function() {
+  if (!this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'Message text or an attachment is required');
+  }
+});
+
+// Instance method to check whether a user has read the message
+bookingMessageSchema.methods.isReadBy = function(userId) {
+  return this.readBy.some(receipt => receipt.userId.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('BookingMessage', bookingMessageSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const SystemSettings = require('./SystemSettings');
+const { toDateKey } = require('../utils/dateUtils');
+
+// Defaults for each document-number sequence. Any of prefix, resetPeriod and
+// padding can be overridden with a `sequence_<name>` SystemSettings entry.
+const SEQUENCES = {
+  booking: { prefix: 'DC', resetPeriod: 'daily', padding: 4 },
+  invoice: { prefix: 'INV', resetPeriod: 'yearly', padding: 5 },
+  payment: { prefix: 'TXN', resetPeriod: 'daily', padding: 6 },
+  credit_note: { prefix: 'CN', resetPeriod: 'yearly', padding: 5 },
+  employee: { prefix: 'EMP', resetPeriod: 'never', padding: 4 },
+  booking_batch: { prefix: 'BB', resetPeriod: 'yearly', padding: 5 }
+};
+
+const RESET_PERIODS = ['daily', 'monthly', 'yearly', 'never'];
+
+// Where each sequence's numbers end up, so a new counter can continue after
+// numbers issued before it existed (e.g. bookings numbered by the old
+// count-per-day scheme on the day counters are deployed)
+const ISSUED_NUMBERS = {
+  booking: { model: 'Booking', path: 'bookingNumber' },
+  invoice: { model: 'Payment', path: 'invoice.invoiceNumber' }, // batch invoices are copied onto their payments
+  payment: { model: 'Payment', path: 'transactionId' },
+  credit_note: { model: 'Payment', path: 'refund.creditNoteNumber' },
+  employee: { model: 'Staff', path: 'employeeId' },
+  booking_batch: { model: 'BookingBatch', path: 'batchNumber' }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name plus period, e.g. "booking:20250314" or "employee"
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Period part of the number for a date: YYYYMMDD, YYYYMM, YYYY or nothing
+const getPeriodKey = (resetPeriod, date) => {
+  const dateKey = toDateKey(date).replace(/-/g, '');
+
+  switch (resetPeriod) {
+    case 'daily':
+      return dateKey;
+    case 'monthly':
+      return dateKey.slice(0, 6);
+    case 'yearly':
+      return dateKey.slice(0, 4);
+    default:
+      return '';
+  }
+};
+
+// Static method to resolve a sequence's configuration
+counterSchema.statics.getSequenceConfig = async function(name) {
+  const defaults = SEQUENCES[name];
+  if (!defaults) {
+    throw new Error(`Unknown sequence: ${name}`);
+  }
+
+  const overrides = await SystemSettings.getValue(`sequence_${name}`, {});
+  const config = { ...defaults, ...overrides };
+
+  if (!RESET_PERIODS.includes(config.resetPeriod)) {
+    config.resetPeriod = defaults.resetPeriod;
+  }
+
+  return config;
+};
+
+// Highest sequence number already issued under a prefix, 0 when there is none
+const getIssuedMaximum = async (name, numberPrefix) => {
+  const source = ISSUED_NUMBERS[name];
+  if (!source || !mongoose.modelNames().includes(source.model)) return 0;
+
+  const pattern = new RegExp(`^${escapeRegex(numberPrefix)}(\\d+)$`);
+  const issued = await mongoose.model(source.model).distinct(source.path, { [source.path]: pattern });
+
+  return issued.reduce((max, number) => Math.max(max, Number(pattern.exec(number)[1])), 0);
+};
+
+// Static method to atomically take the next number of a sequence. The counter
+// document is created on first use, starting after any number already issued
+// for the period, so concurrent callers never share a number.
+counterSchema.statics.nextSequence = async function(name, date = new Date()) {
+  const { prefix, resetPeriod, padding } = await this.getSequenceConfig(name);
+  const period = getPeriodKey(resetPeriod, date);
+  const id = period ? `${name}:${period}` : name;
+
+  let counter = await this.findOneAndUpdate({ _id: id }, { $inc: { seq: 1 } }, { new: true });
+
+  if (!counter) {
+    try {
+      await this.create({ _id: id, seq: await getIssuedMaximum(name, `${prefix}${period}`) });
+    } catch (error) {
+      // Another caller created it first
+      if (error.code !== 11000) throw error;
+    }
+    counter = await this.findOneAndUpdate({ _id: id }, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return `${prefix}${period}${counter.seq.toString().padStart(padding, '0')}`;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+Counter.SEQUENCES = SEQUENCES;
+Counter.RESET_PERIODS = RESET_PERIODS;
+
+module.exports = Counter;
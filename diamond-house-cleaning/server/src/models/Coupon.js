@@ -85,41 +85,74 @@ couponSchema.virtual('isValid').get(function() {
   return this.isActive && now >= this.validFrom && now <= this.validUntil && (!this.usageLimit || this.usageCount < this.usageLimit);
 });
 
-// Instance method to apply coupon
-couponSchema.methods.applyCoupon = function(orderTotal) {
-  if (!this.isValid || orderTotal < this.minimumOrderValue) {
+// Instance method to check whether a service is covered by the coupon
+couponSchema.methods.appliesTo = function(serviceId, category) {
+  const hasServices = this.applicableServices && this.applicableServices.length > 0;
+  const hasCategories = this.applicableCategories && this.applicableCategories.length > 0;
+
+  if (!hasServices && !hasCategories) return true;
+
+  return (hasServices && this.applicableServices.some(id => id.toString() === serviceId.toString())) ||
+    (hasCategories && this.applicableCategories.includes(category));
+};
+
+// Instance method to apply coupon. `eligibleTotal` is the part of the order the
+// coupon applies to (defaults to the whole order)
+couponSchema.methods.applyCoupon = function(orderTotal, eligibleTotal = orderTotal) {
+  if (!this.isValid || orderTotal < this.minimumOrderValue || eligibleTotal <= 0) {
     return { valid: false, discount: 0 };
   }
 
   let discount = 0;
   if (this.discountType === 'percentage') {
-    discount = (orderTotal * this.discountValue) / 100;
+    discount = (eligibleTotal * this.discountValue) / 100;
     if (this.maximumDiscount && discount > this.maximumDiscount) {
       discount = this.maximumDiscount;
     }
   } else {
-    discount = Math.min(this.discountValue, orderTotal);
+    discount = Math.min(this.discountValue, eligibleTotal);
   }
 
   return { valid: true, discount: Math.round(discount * 100) / 100 };
 };
 
+// Filter matching coupons that are active, in date and under their usage limit
+const usableCouponFilter = () => ({
+  isActive: true,
+  validFrom: { $lte: new Date() },
+  validUntil: { $gte: new Date() },
+  $or: [
+    { usageLimit: { $exists: false } },
+    { usageLimit: null },
+    { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+  ]
+});
+
 // Static method to find valid coupon
 couponSchema.statics.findValidCoupon = function(code, orderTotal = 0) {
   return this.findOne({
     code: code.toUpperCase(),
-    isActive: true,
-    validFrom: { $lte: new Date() },
-    validUntil: { $gte: new Date() },
-    $or: [
-      { usageLimit: { $exists: false } },
-      { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
-    ],
-    $or: [
-      { minimumOrderValue: { $lte: orderTotal } },
-      { minimumOrderValue: 0 }
-    ]
+    minimumOrderValue: { $lte: orderTotal },
+    ...usableCouponFilter()
   });
 };
 
+// Static method to atomically take one use of a coupon. Resolves to null when
+// the coupon is no longer usable (e.g. another booking took the last use)
+couponSchema.statics.redeem = function(couponId) {
+  return this.findOneAndUpdate(
+    { _id: couponId, ...usableCouponFilter() },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use taken by `redeem`
+couponSchema.statics.release = function(couponId) {
+  return this.updateOne(
+    { _id: couponId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
 module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Notification type is required'],
-    enum: ['booking_confirmed', 'booking_assigned', 'booking_completed', 'payment_success', 'payment_failed', 'review_received', 'system_update', 'promotion', 'reminder']
+    enum: ['booking_confirmed', 'booking_assigned', 'booking_rescheduled', 'booking_started', 'booking_no_show', 'booking_completed', 'waitlist_offer', 'booking_message', 'payment_success', 'payment_failed', 'review_received', 'system_update', 'promotion', 'reminder']
   },
   title: {
     type: String,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
 
 const paymentSchema = new mongoose.Schema({
   transactionId: {
@@ -12,6 +13,12 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Booking',
     required: [true, 'Booking ID is required']
   },
+  // Set when the booking was paid together with the rest of its bulk batch:
+  // the gateway payment is shared and the invoice is the batch's
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingBatch'
+  },
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -72,6 +79,7 @@ const paymentSchema = new mongoose.Schema({
       min: [0, 'Refund amount cannot be negative']
     },
     refundTransactionId: String,
+    creditNoteNumber: String,
     refundedAt: Date,
     refundReason: String,
     refundGatewayResponse: mongoose.Schema.Types.Mixed,
@@ -109,15 +117,23 @@ paymentSchema.virtual('isFullyRefunded').get(function() {
   return this.refund.isRefunded && this.refund.refundAmount >= this.amount;
 });
 
-// Pre-save middleware to generate transaction ID if not provided
-paymentSchema.pre('save', function(next) {
+// Generate document numbers before validation so the required checks pass
+paymentSchema.pre('validate', async function() {
+  // Transaction ID when the gateway did not supply one: TXN + YYYYMMDD + sequence
   if (this.isNew && !this.transactionId) {
-    // Generate transaction ID: TXN + timestamp + random
-    const timestamp = Date.now().toString();
-    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-    this.transactionId = `TXN${timestamp}${random}`;
+    this.transactionId = await Counter.nextSequence('payment');
+  }
+
+  // Invoice once the payment succeeds, credit note once it is refunded
+  // (batch payments arrive with the batch's invoice number)
+  if (this.status === 'success' && !this.invoice?.invoiceNumber) {
+    this.invoice.invoiceNumber = await Counter.nextSequence('invoice');
+    this.invoice.generatedAt = new Date();
+  }
+
+  if (this.refund?.isRefunded && !this.refund.creditNoteNumber) {
+    this.refund.creditNoteNumber = await Counter.nextSequence('credit_note');
   }
-  next();
 });
 
 // Instance method to check if payment can be refunded
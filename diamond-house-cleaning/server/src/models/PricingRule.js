@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { TIME_SLOTS } = require('../utils/timeSlots');
+
+// A time-based adjustment to service base prices, e.g. a weekend multiplier,
+// a festival-season premium or a same-day surcharge. A rule applies when every
+// condition it sets matches the booking; unset conditions match anything.
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  conditions: {
+    daysOfWeek: [{
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+    }],
+    // Specific days and inclusive date ranges (e.g. a festival season); the
+    // booking must fall on one of the days or inside one of the ranges
+    dates: [Date],
+    dateRanges: [{
+      _id: false,
+      startDate: {
+        type: Date,
+        required: true
+      },
+      endDate: {
+        type: Date,
+        required: true
+      }
+    }],
+    timeSlots: [{
+      type: String,
+      enum: TIME_SLOTS.map(slot => slot.label)
+    }],
+    // Hours between placing the booking and its slot starting, e.g. max 24
+    // for a same-day premium or min 720 for an early-bird discount
+    leadTimeHours: {
+      min: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative']
+      },
+      max: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative']
+      }
+    },
+    cities: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // multiplier: base price x value (1.2 is +20%, 0.9 is -10%);
+  // flat: value added to the base price per unit (negative for a reduction)
+  adjustment: {
+    type: {
+      type: String,
+      enum: ['multiplier', 'flat'],
+      required: [true, 'Adjustment type is required']
+    },
+    value: {
+      type: Number,
+      required: [true, 'Adjustment value is required']
+    }
+  },
+  // Rules apply in ascending priority, each on the price left by the one before
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+pricingRuleSchema.index({ isActive: 1, priority: 1 });
+
+pricingRuleSchema.pre('validate', function() {
+  if (this.adjustment?.type === 'multiplier' && !(this.adjustment.value > 0)) {
+    this.invalidate('adjustment.value', 'A multiplier must be greater than 0');
+  }
+
+  const { min, max } = this.conditions?.leadTimeHours || {};
+  if (min !== undefined && max !== undefined && min > max) {
+    this.invalidate('conditions.leadTimeHours', 'Minimum lead time cannot exceed the maximum');
+  }
+
+  (this.conditions?.dateRanges || []).forEach((range, index) => {
+    if (range.startDate > range.endDate) {
+      this.invalidate(`conditions.dateRanges.${index}`, 'Date range cannot end before it starts');
+    }
+  });
+});
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
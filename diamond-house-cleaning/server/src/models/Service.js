@@ -46,11 +46,31 @@ const serviceSchema = new mongoose.Schema({
       type: Number,
       min: [0, 'Price per sq ft cannot be negative']
     },
+    pricePerRoom: {
+      type: Number,
+      min: [0, 'Price per room cannot be negative']
+    },
+    pricePerBathroom: {
+      type: Number,
+      min: [0, 'Price per bathroom cannot be negative']
+    },
     minimumCharge: {
       type: Number,
       min: [0, 'Minimum charge cannot be negative']
     }
   },
+  tax: {
+    hsnSac: {
+      type: String,
+      trim: true,
+      default: '998533' // SAC for cleaning services
+    },
+    gstRate: {
+      type: Number, // percentage, overrides the gst_rate setting
+      min: [0, 'GST rate cannot be negative'],
+      max: [28, 'GST rate cannot exceed 28%']
+    }
+  },
   duration: {
     type: Number, // in minutes
     required: [true, 'Duration is required'],
@@ -80,6 +100,11 @@ const serviceSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Add-on price cannot be negative']
     },
+    duration: {
+      type: Number, // extra minutes per unit
+      default: 0,
+      min: [0, 'Add-on duration cannot be negative']
+    },
     isPopular: {
       type: Boolean,
       default: false
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A zone we serve, defined by pincodes and/or a boundary polygon. Areas can be
+// limited to some services and add a travel surcharge to bookings in the zone.
+const serviceAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Area name is required'],
+    trim: true,
+    maxlength: [100, 'Area name cannot exceed 100 characters']
+  },
+  pincodes: [{
+    type: String,
+    match: [/^\d{6}$/, 'Pincodes must be 6 digits']
+  }],
+  // Polygon vertices in order; the last point joins back to the first
+  boundary: [{
+    _id: false,
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    }
+  }],
+  // Services offered in this area; empty means every service
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  travelSurcharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Travel surcharge cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+serviceAreaSchema.index({ pincodes: 1 });
+serviceAreaSchema.index({ isActive: 1 });
+
+serviceAreaSchema.pre('validate', function() {
+  if (this.pincodes.length === 0 && this.boundary.length === 0) {
+    this.invalidate('pincodes', 'An area needs at least one pincode or a boundary');
+  }
+  if (this.boundary.length > 0 && this.boundary.length < 3) {
+    this.invalidate('boundary', 'A boundary needs at least three points');
+  }
+});
+
+// Instance method to check whether the area offers a service
+serviceAreaSchema.methods.offersService = function(serviceId) {
+  return this.services.length === 0 || this.services.some(id => id.toString() === serviceId.toString());
+};
+
+module.exports = mongoose.model('ServiceArea', serviceAreaSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { TIME_SLOTS } = require('../utils/timeSlots');
+
+// Capacity reserved in a slot for a short time: an unpaid booking at checkout
+// or a waitlist offer. MongoDB removes holds once they expire.
+const slotHoldSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  waitlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Waitlist'
+  },
+  scheduledDate: {
+    type: Date,
+    required: [true, 'Scheduled date is required']
+  },
+  scheduledTimeSlot: {
+    type: String,
+    required: [true, 'Time slot is required'],
+    enum: TIME_SLOTS.map(slot => slot.label)
+  },
+  requiredMinutes: {
+    type: Number,
+    required: true,
+    min: [0, 'Required minutes cannot be negative']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+slotHoldSchema.index({ scheduledDate: 1, scheduledTimeSlot: 1 });
+slotHoldSchema.index({ bookingId: 1 });
+slotHoldSchema.index({ waitlistId: 1 });
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for is expired (the TTL monitor only runs about once a minute)
+slotHoldSchema.virtual('isExpired').get(function() {
+  return new Date() > this.expiresAt;
+});
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
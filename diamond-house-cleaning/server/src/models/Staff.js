@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { toMinutes, getTimeSlot } = require('../utils/timeSlots');
+const { getDayName, startOfDay, addDays } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
 
 const staffSchema = new mongoose.Schema({
   userId: {
@@ -129,6 +133,11 @@ const staffSchema = new mongoose.Schema({
       country: {
         type: String,
         default: 'India'
+      },
+      // Where route plans start the day
+      coordinates: {
+        latitude: Number,
+        longitude: Number
       }
     }
   },
@@ -156,6 +165,13 @@ staffSchema.index({ department: 1, position: 1 });
 staffSchema.index({ 'employment.status': 1 });
 staffSchema.index({ skills: 1 });
 
+// Generate the employee ID before validation when one is not supplied
+staffSchema.pre('validate', async function() {
+  if (this.isNew && !this.employeeId) {
+    this.employeeId = await Counter.nextSequence('employee');
+  }
+});
+
 // Virtual for full name (from user)
 staffSchema.virtual('fullName').get(async function() {
   const user = await mongoose.model('User').findById(this.userId);
@@ -170,20 +186,94 @@ staffSchema.virtual('yearsOfService').get(function() {
   return Math.floor((now - hireDate) / (365.25 * 24 * 60 * 60 * 1000));
 });
 
+// Instance method to check the weekly schedule and approved time off for a slot
+staffSchema.methods.isScheduledFor = function(date, timeSlot) {
+  const dayName = getDayName(date);
+  const slotStart = toMinutes(timeSlot.startTime);
+  const slotEnd = toMinutes(timeSlot.endTime);
+
+  const worksSlot = (this.availability?.schedule || []).some(entry =>
+    entry.day === dayName &&
+    entry.isAvailable !== false &&
+    toMinutes(entry.startTime) <= slotStart &&
+    toMinutes(entry.endTime) >= slotEnd
+  );
+
+  if (!worksSlot) return false;
+
+  const dayStart = startOfDay(date);
+  const dayEnd = addDays(dayStart, 1);
+
+  const onLeave = (this.availability?.timeOff || []).some(leave =>
+    leave.approved &&
+    new Date(leave.startDate) < dayEnd &&
+    new Date(leave.endDate) >= dayStart
+  );
+
+  return !onLeave;
+};
+
+// Static method to map staff user id -> Set of slot labels already worked on a day
+staffSchema.statics.getBookedSlots = async function(date, { excludeBookingId } = {}) {
+  const dayStart = startOfDay(date);
+  const filter = {
+    scheduledDate: { $gte: dayStart, $lt: addDays(dayStart, 1) },
+    status: { $in: CAPACITY_STATUSES },
+    'assignedStaff.0': { $exists: true }
+  };
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await mongoose.model('Booking').find(filter).select('scheduledTimeSlot assignedStaff');
+
+  const bookedSlots = new Map();
+  for (const booking of bookings) {
+    for (const assignment of booking.assignedStaff) {
+      const key = assignment.staffId.toString();
+      if (!bookedSlots.has(key)) bookedSlots.set(key, new Set());
+      bookedSlots.get(key).add(booking.scheduledTimeSlot);
+    }
+  }
+
+  return bookedSlots;
+};
+
+// Instance method to check schedule and existing assignments against a precomputed map
+staffSchema.methods.isFreeFor = function(date, timeSlot, bookedSlots) {
+  if (!this.isScheduledFor(date, timeSlot)) return false;
+  const userId = (this.userId._id || this.userId).toString();
+  return !bookedSlots.get(userId)?.has(timeSlot.label);
+};
+
 // Instance method to check availability
-staffSchema.methods.isAvailable = function(date, timeSlot) {
-  // Implementation for checking availability
-  // This would check the schedule and timeOff
-  return true; // Placeholder
+staffSchema.methods.isAvailable = async function(date, timeSlot, options = {}) {
+  const slot = getTimeSlot(timeSlot);
+  if (!slot) return false;
+
+  const bookedSlots = await this.constructor.getBookedSlots(date, options);
+  return this.isFreeFor(date, slot, bookedSlots);
 };
 
 // Static method to get available staff
-staffSchema.statics.getAvailableStaff = function(date, timeSlot, skills = []) {
-  // Implementation to find available staff with required skills
-  return this.find({
-    'employment.status': 'active',
-    skills: { $in: skills }
-  }).populate('userId', 'firstName lastName phone');
+staffSchema.statics.getAvailableStaff = async function(date, timeSlot, skills = [], options = {}) {
+  const slot = getTimeSlot(timeSlot);
+  if (!slot) return [];
+
+  const filter = { 'employment.status': 'active' };
+  if (skills.length) {
+    filter.skills = { $in: skills };
+  }
+  if (options.excludeUserIds?.length) {
+    filter.userId = { $nin: options.excludeUserIds };
+  }
+
+  const [staffMembers, bookedSlots] = await Promise.all([
+    this.find(filter).populate('userId', 'firstName lastName phone'),
+    this.getBookedSlots(date, options)
+  ]);
+
+  return staffMembers.filter(staff => staff.isFreeFor(date, slot, bookedSlots));
 };
 
 module.exports = mongoose.model('Staff', staffSchema);
\ No newline at end of file
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { TIME_SLOTS } = require('../utils/timeSlots');
+
+const subscriptionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  services: [{
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    addOns: [{
+      addOnId: mongoose.Schema.Types.ObjectId, // Service.addOns entry
+      name: {
+        type: String,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Add-on quantity must be at least 1']
+      }
+    }]
+  }],
+  serviceAddress: {
+    street: {
+      type: String,
+      required: [true, 'Street address is required']
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required']
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required']
+    },
+    zipCode: {
+      type: String,
+      required: [true, 'Zip code is required']
+    },
+    country: {
+      type: String,
+      default: 'India'
+    },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  frequency: {
+    type: String,
+    required: [true, 'Frequency is required'],
+    enum: ['weekly', 'bi_weekly', 'monthly', 'custom']
+  },
+  // Weekdays used by the 'custom' frequency
+  daysOfWeek: [{
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  }],
+  scheduledTimeSlot: {
+    type: String,
+    required: [true, 'Time slot is required'],
+    enum: TIME_SLOTS.map(slot => slot.label)
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  pause: {
+    pausedAt: Date,
+    pausedUntil: Date,
+    reason: String
+  },
+  // Single occurrences the customer has skipped (stored as midnight of the day)
+  skippedDates: [Date],
+  pricing: {
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    }
+  },
+  specialInstructions: {
+    type: String,
+    maxlength: [500, 'Special instructions cannot exceed 500 characters']
+  },
+  lastGeneratedAt: Date,
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    reason: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+subscriptionSchema.index({ customerId: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1 });
+
+// Validate custom schedules have at least one weekday
+subscriptionSchema.pre('validate', function() {
+  if (this.frequency === 'custom' && (!this.daysOfWeek || this.daysOfWeek.length === 0)) {
+    this.invalidate('daysOfWeek', 'At least one day is required for a custom schedule');
+  }
+});
+
+// Instance method to check if the subscription is paused on a given day
+subscriptionSchema.methods.isPausedOn = function(date) {
+  if (this.status !== 'paused') return false;
+  return !this.pause?.pausedUntil || new Date(date) < this.pause.pausedUntil;
+};
+
+// Instance method to check if a single occurrence was skipped
+subscriptionSchema.methods.isSkipped = function(date) {
+  const day = new Date(date).toDateString();
+  return this.skippedDates.some(skipped => new Date(skipped).toDateString() === day);
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -110,16 +110,51 @@ systemSettingsSchema.statics.initializeDefaults = async function() {
     { key: 'company_name', value: 'Diamond House Cleaning', type: 'string', category: 'general', description: 'Company name displayed throughout the application' },
     { key: 'company_email', value: 'info@diamondhousecleaning.com', type: 'string', category: 'general', description: 'Primary company email address' },
     { key: 'company_phone', value: '+91-XXXXXXXXXX', type: 'string', category: 'general', description: 'Primary company phone number' },
+    { key: 'company_state', value: 'Maharashtra', type: 'string', category: 'general', description: 'State of GST registration, used to decide between CGST+SGST and IGST' },
+    { key: 'sequence_booking', value: { prefix: 'DC', resetPeriod: 'daily', padding: 4 }, type: 'object', category: 'general', description: 'Booking number prefix, reset period (daily, monthly, yearly, never) and padding' },
+    { key: 'sequence_invoice', value: { prefix: 'INV', resetPeriod: 'yearly', padding: 5 }, type: 'object', category: 'general', description: 'Invoice number prefix, reset period and padding' },
+    { key: 'sequence_payment', value: { prefix: 'TXN', resetPeriod: 'daily', padding: 6 }, type: 'object', category: 'general', description: 'Payment transaction ID prefix, reset period and padding' },
+    { key: 'sequence_credit_note', value: { prefix: 'CN', resetPeriod: 'yearly', padding: 5 }, type: 'object', category: 'general', description: 'Credit note number prefix, reset period and padding' },
+    { key: 'sequence_employee', value: { prefix: 'EMP', resetPeriod: 'never', padding: 4 }, type: 'object', category: 'general', description: 'Staff employee ID prefix, reset period and padding' },
+    { key: 'sequence_booking_batch', value: { prefix: 'BB', resetPeriod: 'yearly', padding: 5 }, type: 'object', category: 'general', description: 'Bulk booking batch number prefix, reset period and padding' },
     { key: 'timezone', value: 'Asia/Kolkata', type: 'string', category: 'general', description: 'Default timezone for the application' },
 
     // Booking settings
     { key: 'booking_advance_notice_hours', value: 24, type: 'number', category: 'booking', description: 'Minimum hours notice required for booking' },
     { key: 'booking_cancellation_hours', value: 2, type: 'number', category: 'booking', description: 'Hours before booking when cancellation is not allowed' },
+    {
+      key: 'cancellation_policy',
+      value: [
+        { minHoursBefore: 24, refundPercent: 100 },
+        { minHoursBefore: 2, refundPercent: 50 },
+        { minHoursBefore: 0, refundPercent: 0 }
+      ],
+      type: 'array',
+      category: 'booking',
+      description: 'Refund percentage by hours remaining before the booking when it is cancelled'
+    },
     { key: 'booking_reschedule_hours', value: 4, type: 'number', category: 'booking', description: 'Hours before booking when rescheduling is not allowed' },
+    { key: 'booking_max_reschedules', value: 2, type: 'number', category: 'booking', description: 'Maximum number of times a customer can reschedule a booking' },
+    { key: 'checkin_radius_meters', value: 200, type: 'number', category: 'booking', description: 'Maximum distance from the service address for staff check-in and check-out' },
+    { key: 'service_area_enforced', value: true, type: 'boolean', category: 'booking', description: 'Only accept bookings at addresses inside an active service area (applies once at least one area is active)' },
+    { key: 'booking_hold_minutes', value: 15, type: 'number', category: 'booking', description: 'Minutes a new booking holds its slot while the customer pays before it expires' },
+    { key: 'bulk_booking_hold_minutes', value: 1440, type: 'number', category: 'booking', description: 'Minutes bulk-booked slots are held for payment before the unpaid bookings expire' },
+    { key: 'waitlist_offer_minutes', value: 60, type: 'number', category: 'booking', description: 'Minutes a waitlisted customer has to confirm a freed slot before it passes to the next person' },
+    { key: 'route_distance_provider', value: 'haversine', type: 'string', category: 'booking', description: 'Distance source for staff route planning (haversine unless another provider is registered)' },
+    { key: 'route_average_speed_kmh', value: 25, type: 'number', category: 'booking', description: 'Average travel speed used to estimate travel time between jobs' },
+    { key: 'route_road_factor', value: 1.3, type: 'number', category: 'booking', description: 'Multiplier from straight-line to road distance for haversine route planning' },
+    { key: 'no_show_fee', value: 500, type: 'number', category: 'booking', description: 'Fee charged, or withheld from the refund, when the team cannot get in' },
+    { key: 'no_show_prepayment_threshold', value: 2, type: 'number', category: 'booking', description: 'No-shows after which a customer must prepay future bookings' },
+    { key: 'max_team_size', value: 4, type: 'number', category: 'booking', description: 'Maximum number of staff auto-assigned to one booking' },
+    { key: 'subscription_horizon_days', value: 28, type: 'number', category: 'booking', description: 'Days ahead for which subscription bookings are generated' },
 
     // Pricing settings
     { key: 'gst_rate', value: 18, type: 'number', category: 'pricing', description: 'GST rate percentage' },
     { key: 'minimum_service_charge', value: 500, type: 'number', category: 'pricing', description: 'Minimum service charge in INR' },
+    { key: 'subscription_discount_weekly', value: 15, type: 'number', category: 'pricing', description: 'Discount percentage for weekly subscriptions' },
+    { key: 'subscription_discount_bi_weekly', value: 10, type: 'number', category: 'pricing', description: 'Discount percentage for bi-weekly subscriptions' },
+    { key: 'subscription_discount_monthly', value: 5, type: 'number', category: 'pricing', description: 'Discount percentage for monthly subscriptions' },
+    { key: 'subscription_discount_custom', value: 15, type: 'number', category: 'pricing', description: 'Discount percentage for custom-day subscriptions' },
 
     // Payment settings
     { key: 'payment_gateway', value: 'razorpay', type: 'string', category: 'payment', description: 'Default payment gateway' },
@@ -128,6 +163,8 @@ systemSettingsSchema.statics.initializeDefaults = async function() {
     // Notification settings
     { key: 'email_notifications', value: true, type: 'boolean', category: 'notification', description: 'Enable email notifications' },
     { key: 'sms_notifications', value: true, type: 'boolean', category: 'notification', description: 'Enable SMS notifications' },
+    { key: 'reminder_customer_hours', value: [24, 2], type: 'array', category: 'notification', description: 'Hours before a booking at which the customer is reminded' },
+    { key: 'reminder_staff_hour', value: 18, type: 'number', category: 'notification', description: 'Hour of the day from which staff are reminded of the next day\'s jobs' },
 
     // Security settings
     { key: 'session_timeout', value: 24, type: 'number', category: 'security', description: 'Session timeout in hours' },
@@ -72,7 +72,28 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: String,
   emailVerificationExpire: Date,
   otp: String,
-  otpExpire: Date
+  otpExpire: Date,
+  calendarToken: {
+    type: String,
+    select: false
+  },
+  // Reported no-shows; repeat offenders must prepay future bookings
+  noShow: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastReportedAt: Date,
+    outstandingFees: {
+      type: Number,
+      default: 0
+    },
+    requiresPrepayment: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -81,6 +102,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance
 userSchema.index({ role: 1 });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -143,4 +165,17 @@ userSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Instance method to generate the calendar feed token. Only the hash is stored,
+// so a new token (and feed URL) is issued each time.
+userSchema.methods.getCalendarToken = function() {
+  const calendarToken = crypto.randomBytes(24).toString('hex');
+
+  this.calendarToken = crypto
+    .createHash('sha256')
+    .update(calendarToken)
+    .digest('hex');
+
+  return calendarToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { TIME_SLOTS } = require('../utils/timeSlots');
+
+const waitlistSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  services: [{
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    addOns: [{
+      addOnId: mongoose.Schema.Types.ObjectId, // Service.addOns entry
+      name: {
+        type: String,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Add-on quantity must be at least 1']
+      }
+    }]
+  }],
+  serviceAddress: {
+    street: {
+      type: String,
+      required: [true, 'Street address is required']
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required']
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required']
+    },
+    zipCode: {
+      type: String,
+      required: [true, 'Zip code is required']
+    },
+    country: {
+      type: String,
+      default: 'India'
+    },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  propertyDetails: {
+    squareFeet: Number,
+    rooms: Number,
+    bathrooms: Number
+  },
+  specialInstructions: {
+    type: String,
+    maxlength: [500, 'Special instructions cannot exceed 500 characters']
+  },
+  // Day wanted (midnight) and slot label
+  scheduledDate: {
+    type: Date,
+    required: [true, 'Scheduled date is required']
+  },
+  scheduledTimeSlot: {
+    type: String,
+    required: [true, 'Time slot is required'],
+    enum: TIME_SLOTS.map(slot => slot.label)
+  },
+  // Staff-minutes the job needs, used to find the first entry that fits freed capacity
+  requiredMinutes: {
+    type: Number,
+    required: true,
+    min: [0, 'Required minutes cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Capacity held for the customer while an offer is open
+  offer: {
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+waitlistSchema.index({ scheduledDate: 1, scheduledTimeSlot: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ customerId: 1, status: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Virtual for whether an open offer is still holding capacity
+waitlistSchema.virtual('hasActiveOffer').get(function() {
+  return this.status === 'offered' && this.offer?.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
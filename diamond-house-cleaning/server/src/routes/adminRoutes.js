@@ -0,0 +1,42 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getOperationsCalendar,
+  updateCalendarBookingById
+} = require('../controllers/adminCalendarController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getTimeSlot } = require('../utils/timeSlots');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+// Operations calendar
+router.get('/calendar', [
+  query('view')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('View must be day, week or month'),
+  query('start')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required')
+], getOperationsCalendar);
+router.patch('/calendar/bookings/:id', [
+  body('scheduledDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid scheduled date is required'),
+  body('scheduledTimeSlot')
+    .optional()
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required'),
+  body('assignedStaff')
+    .optional()
+    .isArray()
+    .withMessage('Assigned staff must be a list')
+], updateCalendarBookingById);
+
+module.exports = router;
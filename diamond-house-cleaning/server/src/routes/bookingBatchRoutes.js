@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  createBatch,
+  getCsvTemplate,
+  getBatches,
+  getBatch,
+  payBatch,
+  verifyBatchPayment,
+  getBatchInvoice
+} = require('../controllers/bookingBatchController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.post('/', authorize('customer', 'admin'), express.text({ type: 'text/csv', limit: '1mb' }), createBatch);
+router.get('/', getBatches);
+router.get('/template', getCsvTemplate);
+router.get('/:id', getBatch);
+router.post('/:id/pay', authorize('customer'), payBatch);
+router.post('/:id/verify-payment', authorize('customer'), verifyBatchPayment);
+router.get('/:id/invoice', getBatchInvoice);
+
+module.exports = router;
@@ -3,12 +3,31 @@ const { body } = require('express-validator');
 const {
   createBooking,
   getBookings,
+  exportBookingList,
   getBooking,
   updateBooking,
   cancelBooking,
-  getUpcomingBookings
+  getUpcomingBookings,
+  getAvailability,
+  rescheduleBookingById,
+  autoAssignStaff,
+  autoAssignStaffForDay,
+  expireBookingHolds,
+  sendReminders,
+  checkInToBooking,
+  checkOutOfBooking,
+  completeBookingById,
+  reportNoShowById,
+  getBookingFile
 } = require('../controllers/bookingController');
+const {
+  getBookingMessages,
+  postBookingMessage,
+  markBookingMessagesRead
+} = require('../controllers/bookingMessageController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { completionPhotos, noShowPhotos, messageAttachments } = require('../middleware/uploadMiddleware');
+const { getTimeSlot } = require('../utils/timeSlots');
 
 const router = express.Router();
 
@@ -23,6 +42,26 @@ const bookingValidation = [
   body('services.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('services.*.addOns')
+    .optional()
+    .isArray()
+    .withMessage('Add-ons must be a list'),
+  body('services.*.addOns.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Add-on quantity must be at least 1'),
+  body('propertyDetails.squareFeet')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Property size must be a positive number'),
+  body('propertyDetails.rooms')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Rooms must be a whole number'),
+  body('propertyDetails.bathrooms')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Bathrooms must be a whole number'),
   body('serviceAddress.addressLine1')
     .trim()
     .isLength({ min: 5 })
@@ -41,23 +80,70 @@ const bookingValidation = [
   body('scheduledDate')
     .isISO8601()
     .withMessage('Valid scheduled date is required'),
-  body('scheduledTimeSlot.startTime')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Valid start time is required'),
-  body('scheduledTimeSlot.endTime')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Valid end time is required')
+  body('scheduledTimeSlot')
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required')
 ];
 
-// All routes require authentication
+// Public routes
+router.get('/availability', getAvailability);
+
+// All other routes require authentication
 router.use(protect);
 
 // Routes
 router.post('/', bookingValidation, createBooking);
 router.get('/', getBookings);
 router.get('/upcoming', getUpcomingBookings);
+router.get('/export', authorize('admin'), exportBookingList);
+router.post('/auto-assign', authorize('admin'), [
+  body('date').isISO8601().withMessage('Valid date is required')
+], autoAssignStaffForDay);
+router.post('/expire-holds', authorize('admin'), expireBookingHolds);
+router.post('/send-reminders', authorize('admin'), sendReminders);
 router.get('/:id', getBooking);
 router.put('/:id', updateBooking);
 router.delete('/:id', cancelBooking);
+router.post('/:id/reschedule', authorize('customer', 'admin'), [
+  body('scheduledDate')
+    .isISO8601()
+    .withMessage('Valid scheduled date is required'),
+  body('scheduledTimeSlot')
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required')
+], rescheduleBookingById);
+router.post('/:id/auto-assign', authorize('admin'), autoAssignStaff);
+
+// Staff attendance, verified against the service address location
+const locationValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required')
+];
+
+router.post('/:id/check-in', authorize('staff'), locationValidation, checkInToBooking);
+router.post('/:id/check-out', authorize('staff'), locationValidation, checkOutOfBooking);
+router.post('/:id/complete', authorize('staff', 'admin'), completionPhotos, completeBookingById);
+router.post('/:id/no-show', authorize('staff', 'admin'), noShowPhotos, reportNoShowById);
+
+// Photos and attachments, only to those who may see them
+router.get('/:id/files/:folder/:fileName', getBookingFile);
+
+// Message thread between the customer, assigned staff and admins
+router.get('/:id/messages', getBookingMessages);
+router.post('/:id/messages', messageAttachments, [
+  body('body')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['all', 'internal'])
+    .withMessage('Visibility must be all or internal')
+], postBookingMessage);
+router.post('/:id/messages/read', markBookingMessagesRead);
 
 module.exports = router;
\ No newline at end of file
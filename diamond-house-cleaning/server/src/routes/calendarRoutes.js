@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Public feed, authorised by the token in the URL so calendar apps can poll it
+router.get('/feed/:token', getCalendarFeed);
+
+// Token management requires authentication
+router.use(protect);
+
+router.post('/token', createCalendarToken);
+router.delete('/token', revokeCalendarToken);
+
+module.exports = router;
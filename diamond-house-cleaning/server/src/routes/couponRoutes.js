@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { validateCoupon } = require('../controllers/couponController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/validate', [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required'),
+  body('services')
+    .isArray({ min: 1 })
+    .withMessage('At least one service is required'),
+  body('services.*.serviceId')
+    .isMongoId()
+    .withMessage('Valid service ID is required'),
+  body('services.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+], validateCoupon);
+
+module.exports = router;
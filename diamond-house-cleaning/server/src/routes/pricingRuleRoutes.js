@@ -0,0 +1,69 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getPricingRules,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} = require('../controllers/pricingRuleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getTimeSlot } = require('../utils/timeSlots');
+
+const router = express.Router();
+
+// Validation rules for pricing rule creation/update
+const pricingRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  body('conditions.daysOfWeek.*')
+    .isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])
+    .withMessage('Days must be lower-case weekday names'),
+  body('conditions.dates.*')
+    .isISO8601()
+    .withMessage('Valid dates are required'),
+  body('conditions.dateRanges.*.startDate')
+    .isISO8601()
+    .withMessage('Valid range start date is required'),
+  body('conditions.dateRanges.*.endDate')
+    .isISO8601()
+    .withMessage('Valid range end date is required'),
+  body('conditions.timeSlots.*')
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required'),
+  body('conditions.leadTimeHours.min')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum lead time must be a positive number of hours'),
+  body('conditions.leadTimeHours.max')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum lead time must be a positive number of hours'),
+  body('adjustment.type')
+    .optional()
+    .isIn(['multiplier', 'flat'])
+    .withMessage('Adjustment type must be multiplier or flat'),
+  body('adjustment.value')
+    .optional()
+    .isFloat()
+    .withMessage('Adjustment value must be a number'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number')
+];
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getPricingRules);
+router.get('/:id', getPricingRule);
+router.post('/', pricingRuleValidation, createPricingRule);
+router.put('/:id', pricingRuleValidation, updatePricingRule);
+router.delete('/:id', deletePricingRule);
+
+module.exports = router;
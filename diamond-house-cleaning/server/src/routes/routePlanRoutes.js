@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getStaffRoutePlan,
+  getDayRoutePlans
+} = require('../controllers/routePlanController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.get('/', authorize('admin'), getDayRoutePlans);
+router.get('/staff/:staffId', authorize('staff', 'admin'), getStaffRoutePlan);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  checkServiceArea,
+  getServiceAreas,
+  getServiceArea,
+  createServiceArea,
+  updateServiceArea,
+  deleteServiceArea
+} = require('../controllers/serviceAreaController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Validation rules for service area creation/update
+const serviceAreaValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Area name must be between 2 and 100 characters'),
+  body('pincodes')
+    .optional()
+    .isArray()
+    .withMessage('Pincodes must be a list'),
+  body('pincodes.*')
+    .matches(/^\d{6}$/)
+    .withMessage('Pincodes must be 6 digits'),
+  body('boundary')
+    .optional()
+    .isArray()
+    .withMessage('Boundary must be a list of points'),
+  body('boundary.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('boundary.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  body('services.*')
+    .isMongoId()
+    .withMessage('Valid service ID is required'),
+  body('travelSurcharge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Travel surcharge must be a positive number')
+];
+
+// Public routes
+router.get('/check', checkServiceArea);
+
+// Admin only routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getServiceAreas);
+router.get('/:id', getServiceArea);
+router.post('/', serviceAreaValidation, createServiceArea);
+router.put('/:id', serviceAreaValidation, updateServiceArea);
+router.delete('/:id', deleteServiceArea);
+
+module.exports = router;
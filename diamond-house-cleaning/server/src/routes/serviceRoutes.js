@@ -7,6 +7,7 @@ const {
   getServicesByCategory,
   getFeaturedServices,
   searchServices,
+  getQuote,
   createService,
   updateService,
   deleteService
@@ -22,6 +23,29 @@ router.get('/search', searchServices);
 router.get('/category/:category', getServicesByCategory);
 router.get('/slug/:slug', getServiceBySlug);
 router.get('/:id', getService);
+router.post('/quote', [
+  body('services')
+    .isArray({ min: 1 })
+    .withMessage('At least one service is required'),
+  body('services.*.serviceId')
+    .isMongoId()
+    .withMessage('Valid service ID is required'),
+  body('services.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('propertyDetails.squareFeet')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Property size must be a positive number'),
+  body('propertyDetails.rooms')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Rooms must be a whole number'),
+  body('propertyDetails.bathrooms')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Bathrooms must be a whole number')
+], getQuote);
 
 // Validation rules for service creation/update
 const serviceValidation = [
@@ -55,7 +79,15 @@ const serviceValidation = [
     .withMessage('Base price must be a positive number'),
   body('duration.estimated')
     .isInt({ min: 1 })
-    .withMessage('Duration must be at least 1 minute')
+    .withMessage('Duration must be at least 1 minute'),
+  body('tax.hsnSac')
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('tax.gstRate')
+    .optional()
+    .isFloat({ min: 0, max: 28 })
+    .withMessage('GST rate must be between 0 and 28')
 ];
 
 // Admin only routes
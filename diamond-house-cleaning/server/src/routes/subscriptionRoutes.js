@@ -0,0 +1,67 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  skipSubscriptionOccurrence,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  generateSubscriptionBookings
+} = require('../controllers/subscriptionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getTimeSlot } = require('../utils/timeSlots');
+
+const router = express.Router();
+
+// Validation rules
+const subscriptionValidation = [
+  body('services')
+    .isArray({ min: 1 })
+    .withMessage('At least one service is required'),
+  body('services.*.serviceId')
+    .isMongoId()
+    .withMessage('Valid service ID is required'),
+  body('services.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('frequency')
+    .isIn(['weekly', 'bi_weekly', 'monthly', 'custom'])
+    .withMessage('Frequency must be weekly, bi_weekly, monthly or custom'),
+  body('daysOfWeek')
+    .optional()
+    .isArray()
+    .withMessage('Days of week must be an array'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('scheduledTimeSlot')
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Admin only routes
+router.post('/generate', authorize('admin'), generateSubscriptionBookings);
+
+// Routes
+router.post('/', authorize('customer', 'admin'), subscriptionValidation, createSubscription);
+router.get('/', getSubscriptions);
+router.get('/:id', getSubscription);
+router.put('/:id', updateSubscription);
+router.delete('/:id', cancelSubscription);
+router.post('/:id/skip', [
+  body('date').isISO8601().withMessage('Valid occurrence date is required')
+], skipSubscriptionOccurrence);
+router.post('/:id/pause', pauseSubscription);
+router.post('/:id/resume', resumeSubscription);
+
+module.exports = router;
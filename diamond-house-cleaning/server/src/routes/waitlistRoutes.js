@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  joinSlotWaitlist,
+  getWaitlistEntries,
+  getWaitlistEntry,
+  confirmWaitlistOffer,
+  leaveSlotWaitlist,
+  processWaitlistOffers
+} = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getTimeSlot } = require('../utils/timeSlots');
+
+const router = express.Router();
+
+// Validation rules
+const waitlistValidation = [
+  body('services')
+    .isArray({ min: 1 })
+    .withMessage('At least one service is required'),
+  body('services.*.serviceId')
+    .isMongoId()
+    .withMessage('Valid service ID is required'),
+  body('services.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('scheduledDate')
+    .isISO8601()
+    .withMessage('Valid scheduled date is required'),
+  body('scheduledTimeSlot')
+    .custom(value => Boolean(getTimeSlot(value)))
+    .withMessage('Valid time slot is required')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Admin only routes
+router.post('/process', authorize('admin'), processWaitlistOffers);
+
+// Routes
+router.post('/', authorize('customer'), waitlistValidation, joinSlotWaitlist);
+router.get('/', getWaitlistEntries);
+router.get('/:id', getWaitlistEntry);
+router.delete('/:id', leaveSlotWaitlist);
+router.post('/:id/confirm', confirmWaitlistOffer);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { expireHeldBookings } = require('../services/bookingExpiryService');
+
+// Moves unpaid bookings whose checkout hold ran out to 'expired'; run every few minutes (e.g. from cron)
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/diamond-house-cleaning');
+    console.log('Connected to MongoDB');
+
+    const summary = await expireHeldBookings();
+    console.log(`Held bookings checked: ${summary.checked}, expired: ${summary.expired}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,22 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { generateAllBookings } = require('../services/subscriptionService');
+
+// Rolls every subscription's booking horizon forward; run daily (e.g. from cron)
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/diamond-house-cleaning');
+    console.log('Connected to MongoDB');
+
+    const summary = await generateAllBookings();
+    console.log(`Subscriptions processed: ${summary.subscriptions}`);
+    console.log(`Bookings created: ${summary.created}, occurrences skipped: ${summary.skipped}, failures: ${summary.failed}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { expireOffers } = require('../services/waitlistService');
+
+// Expires lapsed waitlist offers and passes their slots on; run every few minutes (e.g. from cron)
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/diamond-house-cleaning');
+    console.log('Connected to MongoDB');
+
+    const summary = await expireOffers();
+    console.log(`Offers expired: ${summary.expired}, new offers made: ${summary.offered}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -202,7 +202,6 @@ const seedUsers = async () => {
         // Create staff profile
         await Staff.create({
           userId: staffUser._id,
-          employeeId: `EMP${Date.now().toString().slice(-4)}`,
           department: staffData.department,
           designation: staffData.designation,
           joinDate: new Date(),
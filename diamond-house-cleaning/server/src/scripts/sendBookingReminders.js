@@ -0,0 +1,22 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { sendBookingReminders } = require('../services/reminderService');
+
+// Sends due customer and staff booking reminders; run every 15 minutes (e.g. from cron)
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/diamond-house-cleaning');
+    console.log('Connected to MongoDB');
+
+    const summary = await sendBookingReminders();
+    console.log(`Customer reminders sent: ${summary.customers.sent}, failed: ${summary.customers.failed}`);
+    console.log(`Staff reminders sent: ${summary.staff.sent}, failed: ${summary.staff.failed}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,124 @@
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { transitionBooking } = require('./bookingStatusService');
+const { isValidCoordinates, distanceInMeters } = require('../utils/geo');
+const { startOfDay } = require('../utils/dateUtils');
+const { logger } = require('../middleware/loggerMiddleware');
+
+const sameId = (a, b) => (a?._id || a).toString() === (b?._id || b).toString();
+
+// Check the reported position against the service address. Addresses without
+// coordinates cannot be verified, so the stamp is recorded as unverified.
+const verifyLocation = async (booking, coordinates) => {
+  if (!isValidCoordinates(coordinates)) {
+    throw new ErrorResponse('Valid latitude and longitude are required', 400);
+  }
+
+  const position = { latitude: Number(coordinates.latitude), longitude: Number(coordinates.longitude) };
+  const site = booking.serviceAddress?.coordinates;
+
+  if (!isValidCoordinates(site)) {
+    return { at: new Date(), coordinates: position, locationVerified: false };
+  }
+
+  const radius = await SystemSettings.getValue('checkin_radius_meters', 200);
+  const distanceMeters = Math.round(distanceInMeters(site, position));
+  if (distanceMeters > radius) {
+    throw new ErrorResponse(
+      `You are ${distanceMeters} m from the service address; check-in and check-out are allowed within ${radius} m`,
+      400,
+      { distanceMeters, radius }
+    );
+  }
+
+  return { at: new Date(), coordinates: position, distanceMeters, locationVerified: true };
+};
+
+const notifyCustomer = async (booking, type, title, message) => {
+  try {
+    await Notification.sendNotification(booking.customerId, type, title, message, {
+      bookingId: booking._id,
+      bookingNumber: booking.bookingNumber
+    });
+  } catch (error) {
+    logger.error(`Attendance notification failed for booking ${booking.bookingNumber}:`, error);
+  }
+};
+
+// Record an assigned staff member arriving; the first arrival starts the job
+const checkIn = async (booking, actor, coordinates) => {
+  if (!booking.assignedStaff.some(assignment => sameId(assignment.staffId, actor._id))) {
+    throw new ErrorResponse('Only assigned staff can check in to this booking', 403);
+  }
+
+  if (!['assigned', 'in_progress'].includes(booking.status)) {
+    throw new ErrorResponse(`Cannot check in to a booking that is '${booking.status}'`, 409);
+  }
+
+  if (startOfDay(booking.scheduledDate).getTime() !== startOfDay(new Date()).getTime()) {
+    throw new ErrorResponse('Check-in is only possible on the day of the booking', 400);
+  }
+
+  if (booking.attendance.some(record => sameId(record.staffId, actor._id))) {
+    throw new ErrorResponse('You have already checked in to this booking', 409);
+  }
+
+  const stamp = await verifyLocation(booking, coordinates);
+  booking.attendance.push({ staffId: actor._id, checkIn: stamp });
+
+  const started = booking.status === 'assigned';
+  if (started) {
+    transitionBooking(booking, 'in_progress', { actor, reason: 'Staff checked in' });
+  }
+
+  await booking.save();
+
+  if (started) {
+    await notifyCustomer(booking, 'booking_started', 'Cleaning started', `Our team has arrived for booking ${booking.bookingNumber}.`);
+  }
+
+  return { booking, stamp };
+};
+
+// Record a staff member leaving; the last one out completes the job
+const checkOut = async (booking, actor, coordinates) => {
+  if (booking.status !== 'in_progress') {
+    throw new ErrorResponse(`Cannot check out of a booking that is '${booking.status}'`, 409);
+  }
+
+  const record = booking.attendance.find(entry => sameId(entry.staffId, actor._id));
+  if (!record) {
+    throw new ErrorResponse('You have not checked in to this booking', 409);
+  }
+  if (record.checkOut?.at) {
+    throw new ErrorResponse('You have already checked out of this booking', 409);
+  }
+
+  const stamp = await verifyLocation(booking, coordinates);
+  record.checkOut = stamp;
+
+  const completed = booking.attendance.every(entry => entry.checkOut?.at);
+  if (completed) {
+    const firstIn = Math.min(...booking.attendance.map(entry => entry.checkIn.at.getTime()));
+    const lastOut = Math.max(...booking.attendance.map(entry => entry.checkOut.at.getTime()));
+
+    booking.actualDuration = Math.round((lastOut - firstIn) / 60000);
+    booking.completion.completedAt = new Date(lastOut);
+    transitionBooking(booking, 'completed', { actor, reason: 'All staff checked out' });
+  }
+
+  await booking.save();
+
+  if (completed) {
+    await notifyCustomer(booking, 'booking_completed', 'Cleaning completed', `Booking ${booking.bookingNumber} has been completed.`);
+  }
+
+  return { booking, stamp, completed };
+};
+
+module.exports = {
+  verifyLocation,
+  checkIn,
+  checkOut
+};
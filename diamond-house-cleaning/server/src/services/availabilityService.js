@@ -0,0 +1,129 @@
+const Booking = require('../models/Booking');
+const Staff = require('../models/Staff');
+const SlotHold = require('../models/SlotHold');
+const { TIME_SLOTS, getSlotMinutes, getTimeSlot } = require('../utils/timeSlots');
+const { startOfDay, addDays, toDateKey } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+
+// Maximum number of days a single availability request may span
+const MAX_RANGE_DAYS = 31;
+
+// Minutes of work a booking needs, from its stored service and add-on durations
+const getBookingMinutes = (booking) => {
+  return booking.services.reduce((total, service) => {
+    const addOnMinutes = (service.addOns || []).reduce((sum, addOn) => {
+      return sum + (addOn.duration || 0) * (addOn.quantity || 1);
+    }, 0);
+    return total + (service.quantity * ((service.duration || 60) + addOnMinutes));
+  }, 0);
+};
+
+// Minutes of work a set of validated booking services needs
+const getRequiredMinutes = (services) => getBookingMinutes({ services });
+
+// Build the capacity map for every day and slot in [startDate, startDate + days)
+const getAvailability = async (startDate, days = 7, options = {}) => {
+  const rangeStart = startOfDay(startDate);
+  const rangeDays = Math.min(Math.max(days, 1), MAX_RANGE_DAYS);
+  const rangeEnd = addDays(rangeStart, rangeDays);
+
+  const staffMembers = await Staff.find({ 'employment.status': 'active' })
+    .select('userId availability');
+
+  // Unpaid checkouts count through their slot hold, so they stop counting once it expires
+  const bookingFilter = {
+    scheduledDate: { $gte: rangeStart, $lt: rangeEnd },
+    status: { $in: CAPACITY_STATUSES },
+    $nor: [{ status: 'pending', 'hold.expiresAt': { $exists: true } }]
+  };
+  if (options.excludeBookingId) {
+    bookingFilter._id = { $ne: options.excludeBookingId };
+  }
+
+  const bookings = await Booking.find(bookingFilter)
+    .select('scheduledDate scheduledTimeSlot services');
+
+  // Checkout holds and waitlist offers reserve capacity until they expire
+  const holdFilter = {
+    expiresAt: { $gt: new Date() },
+    scheduledDate: { $gte: rangeStart, $lt: rangeEnd }
+  };
+  if (options.excludeBookingId) {
+    holdFilter.bookingId = { $ne: options.excludeBookingId };
+  }
+  if (options.excludeWaitlistId) {
+    holdFilter.waitlistId = { $ne: options.excludeWaitlistId };
+  }
+
+  const holds = await SlotHold.find(holdFilter)
+    .select('scheduledDate scheduledTimeSlot requiredMinutes');
+
+  // Booked minutes keyed by "YYYY-MM-DD|slot label"
+  const bookedMinutes = {};
+  for (const booking of bookings) {
+    const key = `${toDateKey(booking.scheduledDate)}|${booking.scheduledTimeSlot}`;
+    bookedMinutes[key] = (bookedMinutes[key] || 0) + getBookingMinutes(booking);
+  }
+  for (const hold of holds) {
+    const key = `${toDateKey(hold.scheduledDate)}|${hold.scheduledTimeSlot}`;
+    bookedMinutes[key] = (bookedMinutes[key] || 0) + hold.requiredMinutes;
+  }
+
+  const calendar = [];
+  for (let i = 0; i < rangeDays; i++) {
+    const date = addDays(rangeStart, i);
+    const dateKey = toDateKey(date);
+
+    const slots = TIME_SLOTS.map(slot => {
+      const availableStaff = staffMembers.filter(staff => staff.isScheduledFor(date, slot)).length;
+      const capacityMinutes = availableStaff * getSlotMinutes(slot);
+      const booked = bookedMinutes[`${dateKey}|${slot.label}`] || 0;
+      const remainingMinutes = Math.max(capacityMinutes - booked, 0);
+
+      return {
+        label: slot.label,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        availableStaff,
+        capacityMinutes,
+        bookedMinutes: booked,
+        remainingMinutes,
+        isFull: remainingMinutes <= 0
+      };
+    });
+
+    calendar.push({ date: dateKey, slots });
+  }
+
+  return calendar;
+};
+
+// Check whether a slot on a given day can take `requiredMinutes` more work
+const checkSlotCapacity = async (date, timeSlot, requiredMinutes, options = {}) => {
+  const slot = getTimeSlot(timeSlot);
+  if (!slot) {
+    return { available: false, reason: 'Invalid time slot' };
+  }
+
+  const [day] = await getAvailability(date, 1, options);
+  const slotAvailability = day.slots.find(s => s.label === slot.label);
+
+  if (slotAvailability.remainingMinutes < requiredMinutes) {
+    return {
+      available: false,
+      reason: `The ${slot.label} slot on ${day.date} is fully booked`,
+      slot: slotAvailability
+    };
+  }
+
+  return { available: true, slot: slotAvailability };
+};
+
+module.exports = {
+  CAPACITY_STATUSES,
+  MAX_RANGE_DAYS,
+  getBookingMinutes,
+  getRequiredMinutes,
+  getAvailability,
+  checkSlotCapacity
+};
@@ -0,0 +1,39 @@
+const Booking = require('../models/Booking');
+const { transitionBooking, SYSTEM_ACTOR } = require('./bookingStatusService');
+const { releaseCoupon } = require('./couponService');
+const { offerFreedCapacitySafely } = require('./waitlistService');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Move unpaid checkouts whose hold ran out to 'expired'. Their capacity stopped
+// counting when the hold expired; this gives back coupon uses and lets the
+// waitlist know the slot has room.
+const expireHeldBookings = async () => {
+  const bookings = await Booking.find({
+    status: 'pending',
+    'hold.expiresAt': { $lte: new Date() },
+    payment: null
+  });
+
+  let expired = 0;
+  for (const booking of bookings) {
+    try {
+      transitionBooking(booking, 'expired', { actor: SYSTEM_ACTOR, reason: 'Checkout hold expired before payment' });
+      await booking.save();
+      expired += 1;
+
+      if (booking.pricing.coupon?.couponId) {
+        await releaseCoupon(booking.pricing.coupon.couponId);
+      }
+
+      await offerFreedCapacitySafely(booking.scheduledDate, booking.scheduledTimeSlot);
+    } catch (error) {
+      logger.error(`Expiring booking ${booking.bookingNumber} failed:`, error);
+    }
+  }
+
+  return { checked: bookings.length, expired };
+};
+
+module.exports = {
+  expireHeldBookings
+};
@@ -0,0 +1,54 @@
+const BookingMessage = require('../models/BookingMessage');
+const ErrorResponse = require('../utils/errorResponse');
+const { getUploadPath } = require('../middleware/uploadMiddleware');
+
+const getId = (ref) => (ref?._id || ref).toString();
+
+// The customer, the assigned staff and admins may see a booking's files
+const canViewBookingFiles = (booking, user) => {
+  const userId = user._id.toString();
+  return user.role === 'admin' ||
+    (user.role === 'customer' && getId(booking.customerId) === userId) ||
+    (user.role === 'staff' && booking.assignedStaff.some(assignment => getId(assignment.staffId) === userId));
+};
+
+// Whether the booking (or, for attachments, a message the user may read)
+// still refers to the file
+const isReferenced = async (booking, user, folder, url) => {
+  switch (folder) {
+    case 'completions':
+      return (booking.completion?.photos || []).some(photo => photo.url === url);
+    case 'no-shows':
+      return (booking.noShow?.photos || []).includes(url);
+    case 'messages':
+      return Boolean(await BookingMessage.exists({
+        bookingId: booking._id,
+        'attachments.url': url,
+        // Customers never see internal notes, nor their attachments
+        ...(user.role === 'customer' && { visibility: 'all' })
+      }));
+    default:
+      return false;
+  }
+};
+
+// Path of a booking file the user may download. Files the user may not see
+// are reported as missing so their names give nothing away.
+const findBookingFile = async (booking, user, folder, fileName) => {
+  if (!canViewBookingFiles(booking, user)) {
+    throw new ErrorResponse('Not authorized to access files for this booking', 403);
+  }
+
+  const filePath = getUploadPath(folder, fileName);
+  const url = `/api/v1/bookings/${booking._id}/files/${folder}/${fileName}`;
+
+  if (!filePath || !(await isReferenced(booking, user, folder, url))) {
+    throw new ErrorResponse('File not found', 404);
+  }
+
+  return filePath;
+};
+
+module.exports = {
+  findBookingFile
+};
@@ -0,0 +1,134 @@
+const BookingMessage = require('../models/BookingMessage');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../middleware/loggerMiddleware');
+
+const VISIBILITIES = ['all', 'internal'];
+
+const getCustomerId = (booking) => (booking.customerId?._id || booking.customerId).toString();
+
+const getStaffIds = (booking) => booking.assignedStaff.map(assignment => {
+  return (assignment.staffId?._id || assignment.staffId).toString();
+});
+
+// Admins see every thread, customers their own bookings' and staff those of jobs they are assigned to
+const assertThreadAccess = (booking, user) => {
+  const userId = user._id.toString();
+  const allowed = user.role === 'admin' ||
+    (user.role === 'customer' && getCustomerId(booking) === userId) ||
+    (user.role === 'staff' && getStaffIds(booking).includes(userId));
+
+  if (!allowed) {
+    throw new ErrorResponse('Not authorized to access messages for this booking', 403);
+  }
+};
+
+// Customers never see internal notes
+const getVisibilityFilter = (user) => (user.role === 'customer' ? { visibility: 'all' } : {});
+
+// The thread as the user may see it, oldest first, with their unread count
+const getThread = async (booking, user) => {
+  assertThreadAccess(booking, user);
+
+  const messages = await BookingMessage.find({ bookingId: booking._id, ...getVisibilityFilter(user) })
+    .populate('senderId', 'firstName lastName role')
+    .sort({ createdAt: 1 });
+
+  return {
+    messages,
+    unreadCount: messages.filter(message => !message.isReadBy(user._id)).length
+  };
+};
+
+// Everyone in the thread except the sender: assigned staff, the customer unless
+// the message is internal, and the admins who have joined the thread (all admins
+// until one has, so a customer or staff message is always seen)
+const getRecipients = async (booking, message, sender) => {
+  const recipients = new Set(getStaffIds(booking));
+  if (message.visibility === 'all') {
+    recipients.add(getCustomerId(booking));
+  }
+
+  const adminIds = await BookingMessage.distinct('senderId', { bookingId: booking._id, senderRole: 'admin' });
+  if (adminIds.length) {
+    adminIds.forEach(adminId => recipients.add(adminId.toString()));
+  } else if (sender.role !== 'admin') {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    admins.forEach(admin => recipients.add(admin._id.toString()));
+  }
+
+  recipients.delete(sender._id.toString());
+  return [...recipients];
+};
+
+const notifyRecipients = async (booking, message, sender) => {
+  const preview = message.body
+    ? message.body.slice(0, 200)
+    : `${message.attachments.length} attachment(s)`;
+
+  try {
+    const recipients = await getRecipients(booking, message, sender);
+    await Promise.all(recipients.map(recipientId => Notification.sendNotification(
+      recipientId,
+      'booking_message',
+      message.visibility === 'internal' ? `Internal note on ${booking.bookingNumber}` : `New message on ${booking.bookingNumber}`,
+      `${sender.firstName}: ${preview}`,
+      { bookingId: booking._id, bookingNumber: booking.bookingNumber, messageId: message._id }
+    )));
+  } catch (error) {
+    logger.error(`Message notifications failed for booking ${booking.bookingNumber}:`, error);
+  }
+};
+
+// Add a message to the thread and notify the other participants
+const postMessage = async (booking, sender, { body, visibility = 'all', attachments = [] }) => {
+  assertThreadAccess(booking, sender);
+
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new ErrorResponse(`Visibility must be one of: ${VISIBILITIES.join(', ')}`, 400);
+  }
+  if (visibility === 'internal' && sender.role === 'customer') {
+    throw new ErrorResponse('Only staff and admins can post internal notes', 403);
+  }
+  if (!String(body || '').trim() && attachments.length === 0) {
+    throw new ErrorResponse('Message text or an attachment is required', 400);
+  }
+
+  const message = await BookingMessage.create({
+    bookingId: booking._id,
+    senderId: sender._id,
+    senderRole: sender.role,
+    body,
+    attachments,
+    visibility,
+    readBy: [{ userId: sender._id }]
+  });
+
+  await notifyRecipients(booking, message, sender);
+
+  return message;
+};
+
+// Record a read receipt on every message the user can see and has not read yet
+const markThreadRead = async (booking, user) => {
+  assertThreadAccess(booking, user);
+
+  const result = await BookingMessage.updateMany(
+    {
+      bookingId: booking._id,
+      ...getVisibilityFilter(user),
+      'readBy.userId': { $ne: user._id }
+    },
+    { $push: { readBy: { userId: user._id, readAt: new Date() } } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  VISIBILITIES,
+  getThread,
+  postMessage,
+  markThreadRead
+};
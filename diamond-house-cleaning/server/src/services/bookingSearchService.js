@@ -0,0 +1,225 @@
+const ExcelJS = require('exceljs');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+const { toCsvRow } = require('../utils/csv');
+const { parseDateKey, addDays, toDateKey } = require('../utils/dateUtils');
+
+// Query parameter -> booking field for ?sort= (prefix with "-" for descending)
+const SORT_FIELDS = {
+  bookingNumber: 'bookingNumber',
+  scheduledDate: 'scheduledDate',
+  scheduledTimeSlot: 'scheduledTimeSlot',
+  status: 'status',
+  total: 'pricing.total',
+  city: 'serviceAddress.city',
+  pincode: 'serviceAddress.zipCode',
+  createdAt: 'createdAt'
+};
+
+// A booking's payment status is that of its linked payment; "unpaid" when none is linked
+const PAYMENT_STATUSES = ['unpaid', ...Payment.schema.path('status').enumValues];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Hex IDs only; a 12-character name would otherwise pass as an ObjectId
+const isIdString = (value) => /^[0-9a-f]{24}$/i.test(value);
+
+const contains = (value) => ({ $regex: escapeRegex(String(value).trim()), $options: 'i' });
+
+// Users whose name, email or phone match; every word of a name must match
+// the first or last name
+const findUserIds = async (role, { name, email, phone }) => {
+  const filter = { role };
+
+  if (name) {
+    filter.$and = String(name).trim().split(/\s+/).map(word => ({
+      $or: [{ firstName: contains(word) }, { lastName: contains(word) }]
+    }));
+  }
+  if (email) filter.email = contains(email);
+  if (phone) filter.phone = contains(phone);
+
+  return User.distinct('_id', filter);
+};
+
+const matchesAny = async (text) => {
+  const [customerIds, byEmail, byPhone] = await Promise.all([
+    findUserIds('customer', { name: text }),
+    findUserIds('customer', { email: text }),
+    findUserIds('customer', { phone: text })
+  ]);
+
+  return {
+    $or: [
+      { bookingNumber: contains(text) },
+      { customerId: { $in: [...customerIds, ...byEmail, ...byPhone] } },
+      { 'serviceAddress.zipCode': contains(text) },
+      { 'serviceAddress.city': contains(text) }
+    ]
+  };
+};
+
+// Build the booking filter for a search. Customers only ever see their own
+// bookings and staff those they are assigned to; the search narrows that down.
+//
+// Query: search (booking number, customer, pincode or city), bookingNumber,
+// customer (name), email, phone, pincode, city, service (ID or name),
+// staff (ID or name), paymentStatus, status, startDate, endDate
+const buildBookingFilter = async (query, user) => {
+  const conditions = [];
+
+  if (user.role === 'customer') {
+    conditions.push({ customerId: user._id });
+  } else if (user.role === 'staff') {
+    conditions.push({ 'assignedStaff.staffId': user._id });
+  }
+
+  if (query.status) {
+    conditions.push({ status: { $in: String(query.status).split(',') } });
+  }
+
+  const startDate = query.startDate && parseDateKey(query.startDate);
+  const endDate = query.endDate && parseDateKey(query.endDate);
+  if (startDate || endDate) {
+    conditions.push({
+      scheduledDate: {
+        ...(startDate && { $gte: startDate }),
+        ...(endDate && { $lt: addDays(endDate, 1) })
+      }
+    });
+  }
+
+  if (query.search) {
+    conditions.push(await matchesAny(query.search));
+  }
+
+  if (query.bookingNumber) {
+    conditions.push({ bookingNumber: contains(query.bookingNumber) });
+  }
+
+  if (query.customer || query.email || query.phone) {
+    const customerIds = await findUserIds('customer', {
+      name: query.customer,
+      email: query.email,
+      phone: query.phone
+    });
+    conditions.push({ customerId: { $in: customerIds } });
+  }
+
+  if (query.pincode) {
+    conditions.push({ 'serviceAddress.zipCode': contains(query.pincode) });
+  }
+
+  if (query.city) {
+    conditions.push({ 'serviceAddress.city': contains(query.city) });
+  }
+
+  if (query.service) {
+    const serviceIds = isIdString(query.service)
+      ? [query.service]
+      : await Service.distinct('_id', { serviceName: contains(query.service) });
+    conditions.push({ 'services.serviceId': { $in: serviceIds } });
+  }
+
+  if (query.staff) {
+    const staffIds = isIdString(query.staff)
+      ? [query.staff]
+      : await findUserIds('staff', { name: query.staff });
+    conditions.push({ 'assignedStaff.staffId': { $in: staffIds } });
+  }
+
+  if (query.paymentStatus) {
+    conditions.push(query.paymentStatus === 'unpaid'
+      ? { payment: null }
+      : { payment: { $in: await Payment.distinct('_id', { status: query.paymentStatus }) } });
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Sort from ?sort=field or ?sort=-field, newest first by default. The ID
+// breaks ties so pages do not overlap.
+const getBookingSort = (sort) => {
+  const descending = typeof sort === 'string' && sort.startsWith('-');
+  const field = SORT_FIELDS[descending ? sort.substring(1) : sort];
+
+  if (!field) {
+    return { createdAt: -1, _id: -1 };
+  }
+
+  return { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 };
+};
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : '');
+
+// Spreadsheet columns, one row per booking
+const EXPORT_COLUMNS = [
+  { header: 'Booking Number', width: 18, value: booking => booking.bookingNumber },
+  { header: 'Status', width: 12, value: booking => booking.status },
+  { header: 'Scheduled Date', width: 14, value: booking => toDateKey(booking.scheduledDate) },
+  { header: 'Time Slot', width: 14, value: booking => booking.scheduledTimeSlot },
+  { header: 'Customer', width: 22, value: booking => personName(booking.customerId) },
+  { header: 'Email', width: 28, value: booking => booking.customerId?.email },
+  { header: 'Phone', width: 14, value: booking => booking.customerId?.phone },
+  { header: 'Street', width: 30, value: booking => booking.serviceAddress?.street },
+  { header: 'City', width: 14, value: booking => booking.serviceAddress?.city },
+  { header: 'Pincode', width: 10, value: booking => booking.serviceAddress?.zipCode },
+  { header: 'Services', width: 36, value: booking => booking.services.map(service => `${service.serviceName} x${service.quantity}`).join('; ') },
+  { header: 'Assigned Staff', width: 28, value: booking => booking.assignedStaff.map(staff => personName(staff.staffId)).filter(Boolean).join('; ') },
+  { header: 'Subtotal', width: 10, value: booking => booking.pricing.subtotal },
+  { header: 'Discount', width: 10, value: booking => booking.pricing.discount },
+  { header: 'Travel Surcharge', width: 10, value: booking => booking.pricing.travelSurcharge },
+  { header: 'Tax', width: 10, value: booking => booking.pricing.tax },
+  { header: 'Total', width: 10, value: booking => booking.pricing.total },
+  { header: 'Payment Status', width: 14, value: booking => booking.payment?.status || 'unpaid' },
+  { header: 'Amount Paid', width: 12, value: booking => booking.payment?.amount },
+  { header: 'Invoice Number', width: 18, value: booking => booking.payment?.invoice?.invoiceNumber },
+  { header: 'Created At', width: 22, value: booking => booking.createdAt }
+];
+
+// Matching bookings, read from the database one at a time
+const bookingCursor = (filter, sort) => Booking.find(filter)
+  .populate('customerId', 'firstName lastName email phone')
+  .populate('assignedStaff.staffId', 'firstName lastName')
+  .populate('payment', 'status amount invoice.invoiceNumber')
+  .sort(sort)
+  .cursor();
+
+// Write the bookings to a writable stream (the response) as CSV or XLSX
+// without holding the full result set in memory
+const exportBookings = async (stream, { filter, sort, format }) => {
+  const cursor = bookingCursor(filter, sort);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+    const sheet = workbook.addWorksheet('Bookings');
+    sheet.columns = EXPORT_COLUMNS.map(({ header, width }) => ({ header, width }));
+
+    for await (const booking of cursor) {
+      sheet.addRow(EXPORT_COLUMNS.map(column => column.value(booking))).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  // Byte order mark so Excel opens the file as UTF-8
+  stream.write(`\uFEFF${toCsvRow(EXPORT_COLUMNS.map(column => column.header))}`);
+  for await (const booking of cursor) {
+    if (!stream.write(toCsvRow(EXPORT_COLUMNS.map(column => column.value(booking))))) {
+      await new Promise(resolve => stream.once('drain', resolve));
+    }
+  }
+  stream.end();
+};
+
+module.exports = {
+  SORT_FIELDS,
+  PAYMENT_STATUSES,
+  buildBookingFilter,
+  getBookingSort,
+  exportBookings
+};
@@ -0,0 +1,206 @@
+const ErrorResponse = require('../utils/errorResponse');
+
+const isAssignedStaff = (booking, actor, role) => {
+  return booking.assignedStaff.some(staff => {
+    const staffId = staff.staffId?._id || staff.staffId;
+    return staffId.toString() === actor._id.toString() && (!role || staff.role === role);
+  });
+};
+
+// Transitions out of each status: target status -> roles allowed to make it and
+// an optional precondition returning an error message when it is not met.
+// The 'system' role covers automated changes (payments, schedulers).
+const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (booking.prepaymentRequired && !booking.payment) return 'This customer must pay before the booking can be confirmed';
+      }
+    },
+    // Unpaid checkout whose slot hold ran out
+    expired: {
+      roles: ['system'],
+      precondition: (booking) => {
+        if (booking.payment) return 'Paid bookings do not expire';
+        if (!booking.hold?.expiresAt || booking.hold.expiresAt > new Date()) return 'Booking hold has not expired';
+      }
+    },
+    cancelled: {
+      roles: ['customer', 'admin', 'system'],
+      precondition: (booking, actor) => {
+        if (actor.role === 'customer' && !booking.canCancel()) return 'Booking cannot be cancelled at this time';
+      }
+    }
+  },
+  confirmed: {
+    assigned: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (booking.assignedStaff.length === 0) return 'Staff must be assigned before the booking is marked as assigned';
+      }
+    },
+    cancelled: {
+      roles: ['customer', 'admin', 'system'],
+      precondition: (booking, actor) => {
+        if (actor.role === 'customer' && !booking.canCancel()) return 'Booking cannot be cancelled at this time';
+      }
+    }
+  },
+  assigned: {
+    // Back to confirmed when every assigned staff member has been removed
+    confirmed: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (booking.assignedStaff.length > 0) return 'Remove assigned staff before returning the booking to confirmed';
+      }
+    },
+    in_progress: {
+      roles: ['staff', 'admin'],
+      precondition: (booking, actor) => {
+        if (actor.role === 'staff' && !isAssignedStaff(booking, actor)) return 'Only assigned staff can start this booking';
+      }
+    },
+    no_show: {
+      roles: ['staff', 'admin'],
+      precondition: (booking, actor) => {
+        if (actor.role === 'staff' && !isAssignedStaff(booking, actor, 'lead')) return 'Only the lead assigned to this booking can report a no-show';
+        if (booking.scheduledDate > new Date()) return 'A no-show can only be reported once the booking is due';
+      }
+    },
+    cancelled: { roles: ['admin', 'system'] }
+  },
+  in_progress: {
+    completed: {
+      roles: ['staff', 'admin'],
+      precondition: (booking, actor) => {
+        if (actor.role === 'staff' && !isAssignedStaff(booking, actor)) return 'Only assigned staff can complete this booking';
+      }
+    }
+  },
+  completed: {
+    refunded: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (!booking.payment) return 'Booking has no payment to refund';
+      }
+    }
+  },
+  cancelled: {
+    refunded: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (!booking.payment) return 'Booking has no payment to refund';
+      }
+    }
+  },
+  no_show: {
+    refunded: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (!booking.payment) return 'Booking has no payment to refund';
+      }
+    }
+  },
+  // A payment that lands after expiry can only be refunded
+  expired: {
+    refunded: {
+      roles: ['admin', 'system'],
+      precondition: (booking) => {
+        if (!booking.payment) return 'Booking has no payment to refund';
+      }
+    }
+  },
+  refunded: {}
+};
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+// Statuses the given actor could move the booking to right now
+const getAllowedTransitions = (booking, actor = SYSTEM_ACTOR) => {
+  const transitions = BOOKING_TRANSITIONS[booking.status] || {};
+  return Object.keys(transitions).filter(status => !getTransitionError(booking, status, actor));
+};
+
+// Returns { message, statusCode } when the transition is not allowed, otherwise null
+const getTransitionError = (booking, toStatus, actor = SYSTEM_ACTOR) => {
+  if (!Object.prototype.hasOwnProperty.call(BOOKING_TRANSITIONS, toStatus)) {
+    return { message: `Invalid booking status '${toStatus}'`, statusCode: 400 };
+  }
+
+  const transition = (BOOKING_TRANSITIONS[booking.status] || {})[toStatus];
+  if (!transition) {
+    return { message: `Cannot change booking status from '${booking.status}' to '${toStatus}'`, statusCode: 409 };
+  }
+
+  if (!transition.roles.includes(actor.role)) {
+    return { message: `Role '${actor.role}' cannot change booking status to '${toStatus}'`, statusCode: 403 };
+  }
+
+  const preconditionError = transition.precondition && transition.precondition(booking, actor);
+  if (preconditionError) {
+    return { message: preconditionError, statusCode: 409 };
+  }
+
+  return null;
+};
+
+// Apply a guarded status change and record it in statusHistory (caller saves)
+const transitionBooking = (booking, toStatus, { actor = SYSTEM_ACTOR, reason } = {}) => {
+  const error = getTransitionError(booking, toStatus, actor);
+  if (error) {
+    throw new ErrorResponse(error.message, error.statusCode);
+  }
+
+  booking.statusHistory.push({
+    from: booking.status,
+    to: toStatus,
+    changedBy: actor._id,
+    actorRole: actor.role,
+    reason,
+    changedAt: new Date()
+  });
+  booking.status = toStatus;
+
+  return booking;
+};
+
+// Statuses only reached through their own endpoint, which carries the checks a
+// bare status change would skip: the geofenced check-in, the completion report
+// with photos (or the last check-out) and the no-show report with evidence
+const WORKFLOW_ENDPOINTS = {
+  in_progress: 'check-in',
+  completed: 'complete',
+  no_show: 'no-show'
+};
+
+// Returns { message, statusCode } when a status cannot be set directly through
+// the booking update endpoint, otherwise null
+const getStatusUpdateError = (toStatus) => {
+  if (!Object.prototype.hasOwnProperty.call(WORKFLOW_ENDPOINTS, toStatus)) return null;
+
+  return {
+    message: `Bookings move to '${toStatus}' through POST /api/v1/bookings/:id/${WORKFLOW_ENDPOINTS[toStatus]}`,
+    statusCode: 409
+  };
+};
+
+// First statusHistory entry of a new booking, recorded against whoever created it
+const createdStatusEntry = (actor = SYSTEM_ACTOR, reason) => ({
+  from: null,
+  to: 'pending',
+  changedBy: actor._id,
+  actorRole: actor.role,
+  reason,
+  changedAt: new Date()
+});
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  SYSTEM_ACTOR,
+  getAllowedTransitions,
+  getTransitionError,
+  transitionBooking,
+  getStatusUpdateError,
+  createdStatusEntry
+};
@@ -0,0 +1,442 @@
+const mongoose = require('mongoose');
+const razorpay = require('../config/razorpay');
+const Booking = require('../models/Booking');
+const BookingBatch = require('../models/BookingBatch');
+const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { quoteBooking } = require('./quoteService');
+const { roundCurrency } = require('./pricingService');
+const { checkSlotCapacity, getRequiredMinutes } = require('./availabilityService');
+const { placeHold, attachHold, releaseHold } = require('./slotHoldService');
+const { customerRequiresPrepayment } = require('./noShowService');
+const { createdStatusEntry } = require('./bookingStatusService');
+const { isValidCheckoutSignature, refundLatePayment } = require('./paymentService');
+const { parseCsv } = require('../utils/csv');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { parseDateKey, toDateKey } = require('../utils/dateUtils');
+
+// Maximum number of bookings in one bulk request
+const MAX_BULK_ROWS = 100;
+
+// Columns understood in CSV uploads. `services` holds "serviceId:quantity"
+// pairs separated by ";" (quantity defaults to 1).
+const CSV_COLUMNS = [
+  'street', 'city', 'state', 'zipCode',
+  'scheduledDate', 'scheduledTimeSlot', 'services',
+  'squareFeet', 'rooms', 'bathrooms', 'specialInstructions'
+];
+
+const toOptionalNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Turn CSV text into booking rows shaped like the JSON request
+const parseBookingCsv = (text) => {
+  return parseCsv(text).map(record => ({
+    services: (record.services || '')
+      .split(';')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [serviceId, quantity] = entry.split(':').map(part => part.trim());
+        return { serviceId, quantity: quantity ? Number(quantity) : 1 };
+      }),
+    serviceAddress: {
+      street: record.street,
+      city: record.city,
+      state: record.state,
+      zipCode: record.zipCode
+    },
+    propertyDetails: {
+      squareFeet: toOptionalNumber(record.squareFeet),
+      rooms: toOptionalNumber(record.rooms),
+      bathrooms: toOptionalNumber(record.bathrooms)
+    },
+    scheduledDate: record.scheduledDate,
+    scheduledTimeSlot: record.scheduledTimeSlot,
+    specialInstructions: record.specialInstructions || undefined
+  }));
+};
+
+// Check one row and price it. Returns the row's errors, or the booking
+// fields and the capacity it needs.
+const prepareRow = async (row = {}) => {
+  const errors = [];
+  const { serviceAddress = {}, propertyDetails = {} } = row;
+
+  const services = Array.isArray(row.services) ? row.services : [];
+  if (!services.length) {
+    errors.push('At least one service is required');
+  }
+  services.forEach((item, index) => {
+    if (!mongoose.isValidObjectId(item?.serviceId)) {
+      errors.push(`Service ${index + 1}: valid service ID is required`);
+    }
+    if (!Number.isInteger(Number(item?.quantity)) || Number(item?.quantity) < 1) {
+      errors.push(`Service ${index + 1}: quantity must be at least 1`);
+    }
+  });
+
+  ['street', 'city', 'state'].forEach(field => {
+    if (!String(serviceAddress[field] || '').trim()) {
+      errors.push(`Address ${field} is required`);
+    }
+  });
+  if (!/^\d{6}$/.test(String(serviceAddress.zipCode || ''))) {
+    errors.push('Valid 6-digit zip code is required');
+  }
+
+  ['squareFeet', 'rooms', 'bathrooms'].forEach(field => {
+    const value = propertyDetails[field];
+    if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+      errors.push(`Property ${field} must be a positive number`);
+    }
+  });
+
+  const slot = getTimeSlot(row.scheduledTimeSlot);
+  if (!slot) {
+    errors.push('Valid time slot is required');
+  }
+
+  const day = row.scheduledDate ? parseDateKey(row.scheduledDate) : null;
+  if (!day) {
+    errors.push('Valid scheduled date is required');
+  }
+
+  // The booking starts at the beginning of its slot
+  let scheduledDate;
+  if (day && slot) {
+    const slotStart = toMinutes(slot.startTime);
+    scheduledDate = new Date(day);
+    scheduledDate.setHours(Math.floor(slotStart / 60), slotStart % 60);
+
+    if (scheduledDate < new Date()) {
+      errors.push('Scheduled date cannot be in the past');
+    }
+  }
+
+  if (errors.length) return { errors };
+
+  try {
+    const { services: lines, pricing, serviceArea } = await quoteBooking(
+      services.map(item => ({ ...item, quantity: Number(item.quantity) })),
+      { propertyDetails, serviceAddress, scheduledDate, timeSlot: slot }
+    );
+
+    return {
+      errors,
+      slot,
+      requiredMinutes: getRequiredMinutes(lines),
+      booking: {
+        services: lines,
+        serviceAddress,
+        serviceArea: serviceArea?._id,
+        propertyDetails,
+        scheduledDate,
+        scheduledTimeSlot: slot.label,
+        pricing,
+        specialInstructions: row.specialInstructions
+      }
+    };
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { errors: [error.message] };
+  }
+};
+
+// Rows sharing a slot must fit in it together, so capacity is checked per slot
+const checkBatchCapacity = async (prepared) => {
+  const groups = new Map();
+  prepared.forEach((entry, index) => {
+    if (entry.errors.length) return;
+
+    const key = `${toDateKey(entry.booking.scheduledDate)}|${entry.slot.label}`;
+    const group = groups.get(key) || { entry, minutes: 0, indexes: [] };
+    group.minutes += entry.requiredMinutes;
+    group.indexes.push(index);
+    groups.set(key, group);
+  });
+
+  for (const { entry, minutes, indexes } of groups.values()) {
+    const capacity = await checkSlotCapacity(entry.booking.scheduledDate, entry.slot, minutes);
+    if (!capacity.available) {
+      indexes.forEach(index => prepared[index].errors.push(capacity.reason));
+    }
+  }
+};
+
+const sumTotals = (bookings) => {
+  const totals = bookings.reduce((sum, booking) => {
+    const { pricing } = booking;
+    sum.subtotal += pricing.subtotal;
+    sum.discount += pricing.discount || 0;
+    sum.travelSurcharge += pricing.travelSurcharge || 0;
+    sum.tax += pricing.tax;
+    sum.cgst += pricing.taxBreakdown?.cgst || 0;
+    sum.sgst += pricing.taxBreakdown?.sgst || 0;
+    sum.igst += pricing.taxBreakdown?.igst || 0;
+    sum.total += pricing.total;
+    return sum;
+  }, { subtotal: 0, discount: 0, travelSurcharge: 0, tax: 0, cgst: 0, sgst: 0, igst: 0, total: 0 });
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundCurrency(value)]));
+};
+
+// Validate every row and, only if all of them can be booked, create the
+// bookings under one batch. Nothing is created when any row fails; the error
+// lists each failing row (1-based). Like a single checkout, each booking holds
+// its slot until the batch is paid or the hold runs out (setting
+// `bulk_booking_hold_minutes`), after which it expires.
+const createBookingBatch = async (customerId, rows, { source = 'json', notes, actor } = {}) => {
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new ErrorResponse('At least one booking row is required', 400);
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw new ErrorResponse(`A bulk booking can contain at most ${MAX_BULK_ROWS} rows`, 400);
+  }
+
+  const prepared = [];
+  for (const row of rows) {
+    prepared.push(await prepareRow(row));
+  }
+  await checkBatchCapacity(prepared);
+
+  const rowErrors = prepared
+    .map((entry, index) => ({ row: index + 1, errors: entry.errors }))
+    .filter(entry => entry.errors.length);
+  if (rowErrors.length) {
+    throw new ErrorResponse(`${rowErrors.length} of ${rows.length} rows could not be booked`, 400, { errors: rowErrors });
+  }
+
+  const batch = new BookingBatch({ customerId, source, notes });
+  const prepaymentRequired = await customerRequiresPrepayment(customerId);
+  const holdMinutes = await SystemSettings.getValue('bulk_booking_hold_minutes', 1440);
+  const created = [];
+  const holds = [];
+
+  try {
+    for (const [index, entry] of prepared.entries()) {
+      try {
+        const hold = await placeHold({
+          customerId,
+          date: entry.booking.scheduledDate,
+          timeSlot: entry.slot,
+          requiredMinutes: entry.requiredMinutes,
+          minutes: holdMinutes
+        });
+        holds.push(hold);
+
+        const booking = await Booking.create({
+          ...entry.booking,
+          customerId,
+          batch: batch._id,
+          prepaymentRequired,
+          hold: { holdId: hold._id, expiresAt: hold.expiresAt },
+          statusHistory: [createdStatusEntry(actor, 'Bulk booking')]
+        });
+        created.push(booking);
+        await attachHold(hold, booking._id);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        throw new ErrorResponse(`Row ${index + 1}: ${error.message}`, error.statusCode, {
+          errors: [{ row: index + 1, errors: [error.message] }]
+        });
+      }
+    }
+
+    batch.bookings = created.map(booking => booking._id);
+    batch.totals = sumTotals(created);
+    await batch.save();
+  } catch (error) {
+    await Booking.deleteMany({ _id: { $in: created.map(booking => booking._id) } });
+    await Promise.all(holds.map(hold => releaseHold(hold._id)));
+    throw error;
+  }
+
+  return { batch, bookings: created };
+};
+
+// Bookings of a batch a new payment would cover: still open and unpaid
+const getPayableBookings = (batch) => Booking.find({
+  _id: { $in: batch.bookings },
+  status: { $in: ['pending', 'confirmed'] },
+  payment: { $exists: false }
+});
+
+// Open a gateway order for every payable booking in the batch, so one payment
+// releases all of their holds. Fails with 409 once a hold has run out. Expects
+// the batch's customer to be populated, as for the other batch payment helpers.
+const createBatchOrder = async (batch) => {
+  if (batch.payment.status === 'paid') {
+    throw new ErrorResponse('This booking batch has already been paid', 400);
+  }
+
+  const bookings = await getPayableBookings(batch);
+  if (!bookings.length) {
+    throw new ErrorResponse('No bookings in this batch are waiting for payment', 400);
+  }
+
+  const lapsed = bookings.filter(booking => booking.hold?.expiresAt && booking.hold.expiresAt <= new Date());
+  if (lapsed.length) {
+    throw new ErrorResponse('The slot hold has expired for some bookings in this batch, please book them again', 409, {
+      bookings: lapsed.map(booking => booking.bookingNumber)
+    });
+  }
+
+  if (!razorpay) {
+    throw new ErrorResponse('Payment gateway is not configured', 503);
+  }
+
+  const amount = roundCurrency(bookings.reduce((sum, booking) => sum + booking.pricing.total, 0));
+  const order = await razorpay.orders.create({
+    amount: Math.round(amount * 100), // amount in paise
+    currency: 'INR',
+    receipt: `batch_${batch.batchNumber}`,
+    notes: {
+      batchId: batch._id.toString(),
+      customerId: batch.customerId._id.toString()
+    }
+  });
+
+  batch.payment = {
+    status: 'initiated',
+    orderId: order.id,
+    amount,
+    bookings: bookings.map(booking => booking._id)
+  };
+  await batch.save();
+
+  return { order, bookings };
+};
+
+// Record a successful checkout of the batch order. The batch takes the
+// invoice number, and each covered booking gets a payment for its own total,
+// linked to it, under that invoice, so refunds stay per booking. A booking
+// that expired or was cancelled before the money arrived has its share refunded.
+const confirmBatchPayment = async (batch, { orderId, paymentId, signature }) => {
+  if (!batch.payment.orderId || batch.payment.orderId !== orderId) {
+    throw new ErrorResponse('Payment does not belong to this booking batch', 400);
+  }
+  if (!isValidCheckoutSignature(orderId, paymentId, signature)) {
+    throw new ErrorResponse('Payment verification failed', 400);
+  }
+
+  if (batch.payment.status !== 'paid') {
+    batch.payment.status = 'paid';
+    batch.payment.gatewayTransactionId = paymentId;
+    batch.payment.paidAt = new Date();
+    await batch.save();
+  }
+
+  const bookings = await Booking.find({ _id: { $in: batch.payment.bookings } });
+  const refunded = [];
+
+  for (const booking of bookings) {
+    // Already recorded by an earlier confirmation of the same order
+    let payment = await Payment.findOne({ batchId: batch._id, bookingId: booking._id });
+    if (!payment) {
+      payment = await Payment.create({
+        transactionId: `${orderId}_${booking.bookingNumber}`,
+        bookingId: booking._id,
+        batchId: batch._id,
+        customerId: batch.customerId._id,
+        amount: booking.pricing.total,
+        currency: 'INR',
+        paymentMethod: 'razorpay',
+        gatewayOrderId: orderId,
+        gatewayTransactionId: paymentId,
+        status: 'success',
+        paymentDetails: {
+          razorpayOrderId: orderId,
+          razorpayPaymentId: paymentId,
+          razorpaySignature: signature
+        },
+        invoice: {
+          invoiceNumber: batch.invoice.invoiceNumber,
+          generatedAt: batch.invoice.generatedAt
+        }
+      });
+    }
+
+    if (booking.payment) continue;
+
+    booking.payment = payment._id;
+    if (booking.status === 'expired' || booking.status === 'cancelled') {
+      await refundLatePayment(booking, payment, `Payment received after the booking was ${booking.status}`);
+      refunded.push(booking.bookingNumber);
+    } else {
+      await booking.save();
+    }
+  }
+
+  return { batch, refunded };
+};
+
+const formatAddress = (address) => [address.street, address.city, address.state, address.zipCode]
+  .filter(Boolean)
+  .join(', ');
+
+// Consolidated tax invoice for a paid batch, populated with its customer and
+// the bookings its payment covered
+const buildBatchInvoice = async (batch) => {
+  const [companyName, companyEmail, companyPhone, companyState] = await Promise.all([
+    SystemSettings.getValue('company_name', ''),
+    SystemSettings.getValue('company_email', ''),
+    SystemSettings.getValue('company_phone', ''),
+    SystemSettings.getValue('company_state', '')
+  ]);
+  const customer = batch.customerId;
+  const bookings = batch.payment.bookings;
+
+  return {
+    invoiceNumber: batch.invoice.invoiceNumber,
+    issuedAt: batch.invoice.generatedAt,
+    batchNumber: batch.batchNumber,
+    supplier: {
+      name: companyName,
+      email: companyEmail,
+      phone: companyPhone,
+      state: companyState
+    },
+    billTo: {
+      name: `${customer.firstName} ${customer.lastName}`,
+      email: customer.email,
+      phone: customer.phone
+    },
+    payment: {
+      transactionId: batch.payment.gatewayTransactionId,
+      amount: batch.payment.amount,
+      paidAt: batch.payment.paidAt
+    },
+    lines: bookings.map(booking => ({
+      bookingId: booking._id,
+      bookingNumber: booking.bookingNumber,
+      serviceAddress: formatAddress(booking.serviceAddress),
+      scheduledDate: booking.scheduledDate,
+      scheduledTimeSlot: booking.scheduledTimeSlot,
+      services: booking.services.map(service => ({
+        serviceName: service.serviceName,
+        hsnSac: service.hsnSac,
+        quantity: service.quantity,
+        unitPrice: service.unitPrice,
+        subtotal: service.subtotal
+      })),
+      subtotal: booking.pricing.subtotal,
+      discount: booking.pricing.discount,
+      travelSurcharge: booking.pricing.travelSurcharge,
+      tax: booking.pricing.tax,
+      taxBreakdown: booking.pricing.taxBreakdown,
+      total: booking.pricing.total
+    })),
+    totals: sumTotals(bookings)
+  };
+};
+
+module.exports = {
+  MAX_BULK_ROWS,
+  CSV_COLUMNS,
+  parseBookingCsv,
+  createBookingBatch,
+  createBatchOrder,
+  confirmBatchPayment,
+  buildBatchInvoice
+};
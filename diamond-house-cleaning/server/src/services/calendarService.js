@@ -0,0 +1,91 @@
+const Booking = require('../models/Booking');
+const { buildCalendar } = require('../utils/ics');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+
+// Domain used in event UIDs; must never change or calendars duplicate events
+const UID_DOMAIN = 'diamondhousecleaning.com';
+
+// Cancelled bookings stay in feeds so calendar apps remove the event
+const FEED_STATUSES = [...CAPACITY_STATUSES, 'cancelled'];
+
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+// Slot times are server-local, so TZ must be the business time zone
+// (Asia/Kolkata) for the UTC times in events to be right
+const atMinutes = (date, minutes) => {
+  const result = startOfDay(date);
+  result.setMinutes(minutes);
+  return result;
+};
+
+const formatAddress = (address = {}) => [address.street, address.city, address.state, address.zipCode]
+  .filter(Boolean)
+  .join(', ');
+
+const staffName = (assignment) => {
+  const staff = assignment.staffId;
+  return staff && staff.firstName ? `${staff.firstName} ${staff.lastName} (${assignment.role})` : assignment.role;
+};
+
+// Calendar event for a booking; expects assignedStaff.staffId to be populated
+const toEvent = (booking) => {
+  const slot = getTimeSlot(booking.scheduledTimeSlot);
+  const start = slot ? atMinutes(booking.scheduledDate, toMinutes(slot.startTime)) : new Date(booking.scheduledDate);
+  const end = slot ? atMinutes(booking.scheduledDate, toMinutes(slot.endTime)) : new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+  const description = [
+    `Booking ${booking.bookingNumber}`,
+    `Services: ${booking.services.map(service => `${service.serviceName} x${service.quantity}`).join(', ')}`,
+    booking.assignedStaff.length ? `Team: ${booking.assignedStaff.map(staffName).join(', ')}` : 'Team: not assigned yet',
+    booking.specialInstructions ? `Instructions: ${booking.specialInstructions}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    sequence: booking.calendarSequence,
+    stamp: booking.updatedAt,
+    start,
+    end,
+    summary: `Cleaning: ${booking.services.map(service => service.serviceName).join(', ')}`,
+    location: formatAddress(booking.serviceAddress),
+    description,
+    status: EVENT_STATUSES[booking.status] || 'CONFIRMED'
+  };
+};
+
+// Upcoming bookings visible to a user: their own, their assignments, or all for admins
+const getFeedBookings = (user) => {
+  const filter = {
+    scheduledDate: { $gte: startOfDay(new Date()) },
+    status: { $in: FEED_STATUSES }
+  };
+
+  if (user.role === 'customer') {
+    filter.customerId = user._id;
+  } else if (user.role === 'staff') {
+    filter['assignedStaff.staffId'] = user._id;
+  }
+
+  return Booking.find(filter)
+    .populate('assignedStaff.staffId', 'firstName lastName')
+    .sort({ scheduledDate: 1 });
+};
+
+const buildUserFeed = async (user) => {
+  const bookings = await getFeedBookings(user);
+  return buildCalendar(bookings.map(toEvent), { name: 'Diamond House Cleaning' });
+};
+
+const buildBookingCalendar = (booking) => buildCalendar([toEvent(booking)]);
+
+module.exports = {
+  toEvent,
+  getFeedBookings,
+  buildUserFeed,
+  buildBookingCalendar
+};
@@ -0,0 +1,88 @@
+const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const { refundPayment } = require('./paymentService');
+const { transitionBooking, SYSTEM_ACTOR } = require('./bookingStatusService');
+const { roundCurrency } = require('./pricingService');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Used when the cancellation_policy setting has not been seeded
+const DEFAULT_CANCELLATION_POLICY = [
+  { minHoursBefore: 24, refundPercent: 100 },
+  { minHoursBefore: 2, refundPercent: 50 },
+  { minHoursBefore: 0, refundPercent: 0 }
+];
+
+// Policy tiers ordered from the earliest cancellation to the latest
+const getCancellationPolicy = async () => {
+  const policy = await SystemSettings.getValue('cancellation_policy', DEFAULT_CANCELLATION_POLICY);
+  const tiers = Array.isArray(policy) && policy.length ? policy : DEFAULT_CANCELLATION_POLICY;
+  return [...tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+};
+
+// The successful payment made for a booking, if any
+const findBookingPayment = async (booking) => {
+  if (booking.payment) {
+    const payment = await Payment.findById(booking.payment);
+    if (payment && payment.status === 'success') return payment;
+  }
+
+  return Payment.findOne({ bookingId: booking._id, status: 'success' }).sort({ createdAt: -1 });
+};
+
+// Work out how much of the paid amount is returned if the booking is cancelled
+// at `cancelledAt`, counting hours to the start of its time slot
+const calculateRefund = async (booking, payment, cancelledAt = new Date()) => {
+  const hoursBeforeService = (booking.getStartTime() - cancelledAt) / (60 * 60 * 1000);
+  const policy = await getCancellationPolicy();
+  const tier = policy.find(t => hoursBeforeService >= t.minHoursBefore) || { minHoursBefore: 0, refundPercent: 0 };
+
+  const paidAmount = payment ? payment.amount : 0;
+  const refundAmount = roundCurrency(paidAmount * tier.refundPercent / 100);
+
+  return {
+    hoursBeforeService: Math.round(hoursBeforeService * 100) / 100,
+    refundPercent: tier.refundPercent,
+    paidAmount,
+    refundAmount,
+    deduction: roundCurrency(paidAmount - refundAmount)
+  };
+};
+
+// Refund a cancelled booking according to the policy. Gateway failures are
+// logged and reported so an admin can retry through the refund endpoint.
+const processCancellationRefund = async (booking, { reason, processedBy } = {}) => {
+  const payment = await findBookingPayment(booking);
+  const breakdown = await calculateRefund(booking, payment, booking.cancellation?.cancelledAt || new Date());
+
+  booking.cancellation.refundAmount = breakdown.refundAmount;
+
+  if (!payment || breakdown.refundAmount <= 0) {
+    await booking.save();
+    return { ...breakdown, status: 'not_applicable' };
+  }
+
+  try {
+    const refund = await refundPayment(payment, breakdown.refundAmount, { reason, processedBy });
+
+    booking.payment = payment._id;
+    transitionBooking(booking, 'refunded', {
+      actor: SYSTEM_ACTOR,
+      reason: `Cancellation refund of ${breakdown.refundPercent}%`
+    });
+    await booking.save();
+
+    return { ...breakdown, status: 'processed', refundId: refund.id };
+  } catch (error) {
+    logger.error(`Cancellation refund failed for booking ${booking.bookingNumber}:`, error);
+    await booking.save();
+    return { ...breakdown, status: 'failed', error: error.message };
+  }
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  findBookingPayment,
+  calculateRefund,
+  processCancellationRefund
+};
@@ -0,0 +1,91 @@
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const { transitionBooking } = require('./bookingStatusService');
+const { logger } = require('../middleware/loggerMiddleware');
+
+const isLead = (booking, actor) => booking.assignedStaff.some(assignment => {
+  const staffId = assignment.staffId?._id || assignment.staffId;
+  return assignment.role === 'lead' && staffId.toString() === actor._id.toString();
+});
+
+// Checklist results arrive as an array or, from multipart forms, a JSON string
+const parseChecklist = (checklist) => {
+  if (checklist === undefined || checklist === '') return [];
+
+  let items = checklist;
+  if (typeof checklist === 'string') {
+    try {
+      items = JSON.parse(checklist);
+    } catch (error) {
+      throw new ErrorResponse('Checklist must be valid JSON', 400);
+    }
+  }
+
+  if (!Array.isArray(items) || items.some(entry => !entry || !entry.item)) {
+    throw new ErrorResponse('Checklist must be a list of { item, done, notes } entries', 400);
+  }
+
+  return items.map(entry => ({
+    item: String(entry.item),
+    done: entry.done === true || entry.done === 'true',
+    notes: entry.notes
+  }));
+};
+
+// File the lead's completion report and close the job. A booking already
+// completed by the last staff check-out can still receive its report once.
+const completeBooking = async (booking, actor, { notes, checklist, photos }) => {
+  if (actor.role !== 'admin' && !isLead(booking, actor)) {
+    throw new ErrorResponse('Only the lead assigned to this booking can complete it', 403);
+  }
+
+  const reportPending = booking.status === 'completed' && !booking.completion.completedBy;
+  if (booking.status !== 'in_progress' && !reportPending) {
+    throw new ErrorResponse(`Cannot complete a booking that is '${booking.status}'`, 409);
+  }
+
+  if (!photos.after.length) {
+    throw new ErrorResponse('At least one after photo is required', 400);
+  }
+
+  const uploadedAt = new Date();
+  const toPhoto = stage => url => ({ url, stage, uploadedBy: actor._id, uploadedAt });
+
+  booking.completion.photos.push(...photos.before.map(toPhoto('before')), ...photos.after.map(toPhoto('after')));
+  booking.completion.checklist = parseChecklist(checklist);
+  booking.completion.notes = notes;
+  booking.completion.completedBy = actor._id;
+
+  if (booking.status === 'in_progress') {
+    const checkIns = booking.attendance.map(record => record.checkIn?.at).filter(Boolean);
+    if (checkIns.length) {
+      booking.actualDuration = Math.round((uploadedAt - Math.min(...checkIns.map(at => at.getTime()))) / 60000);
+    }
+
+    booking.completion.completedAt = uploadedAt;
+    transitionBooking(booking, 'completed', { actor, reason: 'Completion report submitted' });
+  }
+
+  await booking.save();
+
+  if (!reportPending) {
+    try {
+      await Notification.sendNotification(
+        booking.customerId,
+        'booking_completed',
+        'Cleaning completed',
+        `Booking ${booking.bookingNumber} has been completed. Before and after photos are available on your booking.`,
+        { bookingId: booking._id, bookingNumber: booking.bookingNumber }
+      );
+    } catch (error) {
+      logger.error(`Completion notification failed for booking ${booking.bookingNumber}:`, error);
+    }
+  }
+
+  return booking;
+};
+
+module.exports = {
+  parseChecklist,
+  completeBooking
+};
@@ -0,0 +1,51 @@
+const Coupon = require('../models/Coupon');
+const Service = require('../models/Service');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundCurrency } = require('./pricingService');
+
+// Price a coupon against validated booking service lines without using it up
+const evaluateCoupon = async (code, services, subtotal) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isValid) {
+    throw new ErrorResponse('Coupon is invalid or has expired', 400);
+  }
+
+  if (subtotal < coupon.minimumOrderValue) {
+    throw new ErrorResponse(`Minimum order value for this coupon is ${coupon.minimumOrderValue}`, 400);
+  }
+
+  const catalogue = await Service.find({
+    _id: { $in: services.map(service => service.serviceId) }
+  }).select('category');
+  const categories = new Map(catalogue.map(service => [service._id.toString(), service.category]));
+
+  const eligibleSubtotal = roundCurrency(services
+    .filter(line => coupon.appliesTo(line.serviceId, categories.get(line.serviceId.toString())))
+    .reduce((sum, line) => sum + line.subtotal, 0));
+
+  if (eligibleSubtotal <= 0) {
+    throw new ErrorResponse('Coupon does not apply to the selected services', 400);
+  }
+
+  const { discount } = coupon.applyCoupon(subtotal, eligibleSubtotal);
+
+  return { coupon, discount, eligibleSubtotal };
+};
+
+// Take one use of the coupon; fails when the usage limit was reached meanwhile
+const redeemCoupon = async (coupon) => {
+  const redeemed = await Coupon.redeem(coupon._id);
+  if (!redeemed) {
+    throw new ErrorResponse('Coupon usage limit has been reached', 409);
+  }
+  return redeemed;
+};
+
+const releaseCoupon = (couponId) => Coupon.release(couponId);
+
+module.exports = {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,135 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { verifyLocation } = require('./attendanceService');
+const { findBookingPayment } = require('./cancellationService');
+const { refundPayment } = require('./paymentService');
+const { roundCurrency } = require('./pricingService');
+const { getTransitionError, transitionBooking, SYSTEM_ACTOR } = require('./bookingStatusService');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Count the no-show against the customer and flag them for prepayment once
+// they reach the threshold
+const recordCustomerNoShow = async (customerId, feeDue) => {
+  const threshold = await SystemSettings.getValue('no_show_prepayment_threshold', 2);
+
+  const customer = await User.findByIdAndUpdate(customerId, {
+    $inc: { 'noShow.count': 1, 'noShow.outstandingFees': feeDue },
+    $set: { 'noShow.lastReportedAt': new Date() }
+  }, { new: true });
+
+  if (customer && !customer.noShow.requiresPrepayment && customer.noShow.count >= threshold) {
+    customer.noShow.requiresPrepayment = true;
+    customer.noShow.flaggedAt = new Date();
+    await customer.save();
+    logger.info(`Customer ${customer.email} flagged for prepayment after ${customer.noShow.count} no-shows`);
+  }
+
+  return customer;
+};
+
+// Keep the fee from a paid booking and refund the rest; unpaid bookings owe the fee.
+// Gateway failures are logged so an admin can retry through the refund endpoint.
+const settleNoShowFee = async (booking) => {
+  const configuredFee = await SystemSettings.getValue('no_show_fee', 0);
+  const fee = roundCurrency(Math.min(Math.max(configuredFee, 0), booking.pricing.total));
+  const payment = await findBookingPayment(booking);
+
+  if (!payment) {
+    booking.noShow.fee = { amount: fee, status: fee > 0 ? 'due' : 'none' };
+    return { fee, feeStatus: booking.noShow.fee.status, refundAmount: 0, refundStatus: 'not_applicable' };
+  }
+
+  const withheld = Math.min(fee, payment.amount);
+  const refundAmount = roundCurrency(payment.amount - withheld);
+  booking.payment = payment._id;
+  booking.noShow.fee = { amount: withheld, status: withheld > 0 ? 'withheld' : 'none' };
+  booking.noShow.refundAmount = refundAmount;
+
+  if (refundAmount <= 0) {
+    return { fee: withheld, feeStatus: booking.noShow.fee.status, refundAmount, refundStatus: 'not_applicable' };
+  }
+
+  try {
+    const refund = await refundPayment(payment, refundAmount, { reason: 'No-show refund less fee' });
+    transitionBooking(booking, 'refunded', { actor: SYSTEM_ACTOR, reason: `No-show refund less ${withheld} fee` });
+    return { fee: withheld, feeStatus: booking.noShow.fee.status, refundAmount, refundStatus: 'processed', refundId: refund.id };
+  } catch (error) {
+    logger.error(`No-show refund failed for booking ${booking.bookingNumber}:`, error);
+    return { fee: withheld, feeStatus: booking.noShow.fee.status, refundAmount, refundStatus: 'failed', error: error.message };
+  }
+};
+
+// The lead reports that the team could not get in. Staff must be at the
+// address and attach at least one photo; admins may record a report phoned in.
+const reportNoShow = async (booking, actor, { coordinates, notes, photos = [] }) => {
+  const transitionError = getTransitionError(booking, 'no_show', actor);
+  if (transitionError) {
+    throw new ErrorResponse(transitionError.message, transitionError.statusCode);
+  }
+
+  if (actor.role === 'staff' && photos.length === 0) {
+    throw new ErrorResponse('At least one photo is required as evidence', 400);
+  }
+
+  const location = actor.role === 'staff' || coordinates
+    ? await verifyLocation(booking, coordinates)
+    : undefined;
+
+  transitionBooking(booking, 'no_show', { actor, reason: notes || 'Customer not available' });
+  booking.noShow = {
+    reportedBy: actor._id,
+    reportedAt: new Date(),
+    notes,
+    photos,
+    location
+  };
+
+  const settlement = await settleNoShowFee(booking);
+  await booking.save();
+
+  const customer = await recordCustomerNoShow(booking.customerId, settlement.feeStatus === 'due' ? settlement.fee : 0);
+
+  try {
+    await Notification.sendNotification(
+      booking.customerId,
+      'booking_no_show',
+      'Missed cleaning appointment',
+      settlement.fee > 0
+        ? `Our team could not access the property for booking ${booking.bookingNumber}. A no-show fee of ${settlement.fee} applies.`
+        : `Our team could not access the property for booking ${booking.bookingNumber}.`,
+      { bookingId: booking._id, bookingNumber: booking.bookingNumber, fee: settlement.fee }
+    );
+  } catch (error) {
+    logger.error(`No-show notification failed for booking ${booking.bookingNumber}:`, error);
+  }
+
+  return {
+    booking,
+    settlement,
+    customerRequiresPrepayment: Boolean(customer?.noShow.requiresPrepayment)
+  };
+};
+
+// Whether new bookings for the customer must be paid before confirmation
+const customerRequiresPrepayment = async (customerId) => Boolean(
+  await User.exists({ _id: customerId, 'noShow.requiresPrepayment': true })
+);
+
+// A due no-show fee has been paid
+const markNoShowFeePaid = async (booking) => {
+  if (booking.noShow?.fee?.status !== 'due') return;
+
+  booking.noShow.fee.status = 'paid';
+  await User.updateOne(
+    { _id: booking.customerId },
+    { $inc: { 'noShow.outstandingFees': -booking.noShow.fee.amount } }
+  );
+};
+
+module.exports = {
+  reportNoShow,
+  customerRequiresPrepayment,
+  markNoShowFeePaid
+};
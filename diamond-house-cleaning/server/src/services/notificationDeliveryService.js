@@ -0,0 +1,70 @@
+const mailer = require('../config/mailer');
+const sms = require('../config/sms');
+const SystemSettings = require('../models/SystemSettings');
+
+// External channels and how to send a notification on each
+const senders = {
+  email: (notification, recipient) => mailer.sendMail({
+    from: process.env.EMAIL_FROM,
+    to: recipient.email,
+    subject: notification.title,
+    text: notification.message
+  }),
+  sms: (notification, recipient) => sms.client.messages.create({
+    from: sms.from,
+    to: recipient.phone,
+    body: `${notification.title}: ${notification.message}`
+  })
+};
+
+// Channels to notify on: always in-app, plus email and SMS when they are
+// switched on in the notification settings and configured in the environment
+const getDeliveryChannels = async () => {
+  const [emailEnabled, smsEnabled] = await Promise.all([
+    SystemSettings.getValue('email_notifications', true),
+    SystemSettings.getValue('sms_notifications', true)
+  ]);
+
+  return [
+    'in_app',
+    ...(emailEnabled && mailer ? ['email'] : []),
+    ...(smsEnabled && sms ? ['sms'] : [])
+  ];
+};
+
+// Send a saved notification on its external channels and record the outcome
+// in its deliveryStatus. In-app delivery is the notification itself.
+// Returns one { channel, status: 'sent' | 'failed', error } per channel.
+const deliverNotification = async (notification, recipient) => {
+  const results = [];
+
+  for (const channel of notification.channels) {
+    if (channel === 'in_app') {
+      results.push({ channel, status: 'sent' });
+      continue;
+    }
+
+    try {
+      if (!senders[channel]) {
+        throw new Error(`No ${channel} provider is configured`);
+      }
+
+      await senders[channel](notification, recipient);
+      notification.deliveryStatus[channel] = { sent: true, sentAt: new Date() };
+      results.push({ channel, status: 'sent' });
+    } catch (error) {
+      notification.deliveryStatus[channel] = { sent: false, error: error.message };
+      results.push({ channel, status: 'failed', error: error.message });
+    }
+  }
+
+  notification.sentAt = new Date();
+  await notification.save();
+
+  return results;
+};
+
+module.exports = {
+  getDeliveryChannels,
+  deliverNotification
+};
@@ -0,0 +1,243 @@
+const Booking = require('../models/Booking');
+const Staff = require('../models/Staff');
+const ErrorResponse = require('../utils/errorResponse');
+const { getAvailability, getBookingMinutes } = require('./availabilityService');
+const { rescheduleBooking } = require('./rescheduleService');
+const { validateTeam, assignTeam } = require('./staffAssignmentService');
+const { TIME_SLOTS, getSlotMinutes, getTimeSlot } = require('../utils/timeSlots');
+const { startOfDay, addDays, toDateKey } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+
+const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+// Completed jobs stay on the calendar so past days still show the work done
+const CALENDAR_STATUSES = [...CAPACITY_STATUSES, 'completed'];
+
+// Percentage with one decimal; null when there is no capacity to measure against
+const toPercent = (used, capacity) => (capacity > 0 ? Math.round(used / capacity * 1000) / 10 : null);
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : null);
+
+// First day and length of a view. Day and week views start on `start`; the
+// month view covers the calendar month that contains it.
+const getCalendarRange = (view, start) => {
+  const day = startOfDay(start);
+
+  if (view === 'day') return { rangeStart: day, days: 1 };
+  if (view === 'week') return { rangeStart: day, days: 7 };
+
+  const rangeStart = new Date(day.getFullYear(), day.getMonth(), 1);
+  const rangeEnd = new Date(day.getFullYear(), day.getMonth() + 1, 1);
+  return { rangeStart, days: Math.round((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000)) };
+};
+
+const toCalendarBooking = (booking, minutes) => ({
+  id: booking._id,
+  bookingNumber: booking.bookingNumber,
+  status: booking.status,
+  customer: personName(booking.customerId),
+  city: booking.serviceAddress?.city,
+  pincode: booking.serviceAddress?.zipCode,
+  services: booking.services.map(service => service.serviceName),
+  minutes,
+  total: booking.pricing.total,
+  assignedStaff: booking.assignedStaff.map(assignment => ({
+    staffId: assignment.staffId?._id || assignment.staffId,
+    role: assignment.role
+  }))
+});
+
+// Bookings for a day, week or month grouped by day, slot and staff member.
+// Slot utilisation is booked minutes against the minutes of the staff rostered
+// for the slot; staff utilisation is each member's share of their jobs against
+// the slot minutes they are rostered for in the range.
+const buildOperationsCalendar = async ({ view = 'week', start = new Date() }) => {
+  if (!CALENDAR_VIEWS.includes(view)) {
+    throw new ErrorResponse(`View must be one of: ${CALENDAR_VIEWS.join(', ')}`, 400);
+  }
+
+  const { rangeStart, days } = getCalendarRange(view, start);
+  const rangeEnd = addDays(rangeStart, days);
+
+  const [availability, staffMembers, bookings] = await Promise.all([
+    getAvailability(rangeStart, days),
+    Staff.find({ 'employment.status': 'active' })
+      .select('userId availability')
+      .populate('userId', 'firstName lastName'),
+    Booking.find({
+      scheduledDate: { $gte: rangeStart, $lt: rangeEnd },
+      status: { $in: CALENDAR_STATUSES }
+    })
+      .select('bookingNumber status scheduledDate scheduledTimeSlot customerId serviceAddress services pricing.total assignedStaff')
+      .populate('customerId', 'firstName lastName')
+      .populate('assignedStaff.staffId', 'firstName lastName')
+      .sort({ scheduledDate: 1, createdAt: 1 })
+  ]);
+
+  // Per staff user id: name, rostered minutes, minutes of assigned work and jobs
+  const staffTotals = new Map(staffMembers
+    .filter(staff => staff.userId)
+    .map(staff => [staff.userId._id.toString(), {
+      staffId: staff.userId._id,
+      name: personName(staff.userId),
+      scheduledMinutes: 0,
+      assignedMinutes: 0,
+      jobs: 0
+    }]));
+
+  const getStaffTotals = (assignment) => {
+    const staffUser = assignment.staffId;
+    const key = (staffUser?._id || staffUser).toString();
+    if (!staffTotals.has(key)) {
+      // Assigned but no longer active, kept so their work is not lost from the totals
+      staffTotals.set(key, { staffId: staffUser?._id || staffUser, name: personName(staffUser), scheduledMinutes: 0, assignedMinutes: 0, jobs: 0 });
+    }
+    return staffTotals.get(key);
+  };
+
+  const calendarDays = availability.map(({ date: dateKey, slots }, index) => {
+    const date = addDays(rangeStart, index);
+    let dayCapacity = 0;
+    let dayBooked = 0;
+
+    const daySlots = slots.map(slotAvailability => {
+      const slot = TIME_SLOTS.find(timeSlot => timeSlot.label === slotAvailability.label);
+      const slotBookings = bookings.filter(booking =>
+        toDateKey(booking.scheduledDate) === dateKey && booking.scheduledTimeSlot === slot.label);
+
+      for (const staff of staffMembers) {
+        if (staff.userId && staff.isScheduledFor(date, slot)) {
+          staffTotals.get(staff.userId._id.toString()).scheduledMinutes += getSlotMinutes(slot);
+        }
+      }
+
+      const byStaff = new Map();
+      const unassigned = [];
+      let bookedMinutes = 0;
+
+      for (const booking of slotBookings) {
+        const minutes = getBookingMinutes(booking);
+        const entry = toCalendarBooking(booking, minutes);
+        bookedMinutes += minutes;
+
+        if (!booking.assignedStaff.length) {
+          unassigned.push(entry);
+          continue;
+        }
+
+        for (const assignment of booking.assignedStaff) {
+          // The user behind an assignment may have been deleted
+          if (!assignment.staffId) continue;
+
+          const totals = getStaffTotals(assignment);
+          totals.assignedMinutes += Math.ceil(minutes / booking.assignedStaff.length);
+          totals.jobs++;
+
+          const key = totals.staffId.toString();
+          if (!byStaff.has(key)) byStaff.set(key, { staffId: totals.staffId, name: totals.name, bookings: [] });
+          byStaff.get(key).bookings.push({ ...entry, role: assignment.role });
+        }
+      }
+
+      dayCapacity += slotAvailability.capacityMinutes;
+      dayBooked += bookedMinutes;
+
+      return {
+        label: slot.label,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        availableStaff: slotAvailability.availableStaff,
+        capacityMinutes: slotAvailability.capacityMinutes,
+        bookedMinutes,
+        remainingMinutes: slotAvailability.remainingMinutes,
+        utilisation: toPercent(bookedMinutes, slotAvailability.capacityMinutes),
+        bookings: slotBookings.length,
+        staff: [...byStaff.values()],
+        unassigned
+      };
+    });
+
+    return {
+      date: dateKey,
+      bookings: daySlots.reduce((sum, slot) => sum + slot.bookings, 0),
+      capacityMinutes: dayCapacity,
+      bookedMinutes: dayBooked,
+      utilisation: toPercent(dayBooked, dayCapacity),
+      slots: daySlots
+    };
+  });
+
+  const capacityMinutes = calendarDays.reduce((sum, day) => sum + day.capacityMinutes, 0);
+  const bookedMinutes = calendarDays.reduce((sum, day) => sum + day.bookedMinutes, 0);
+
+  return {
+    view,
+    start: toDateKey(rangeStart),
+    end: toDateKey(addDays(rangeEnd, -1)),
+    days: calendarDays,
+    staff: [...staffTotals.values()]
+      .map(totals => ({ ...totals, utilisation: toPercent(totals.assignedMinutes, totals.scheduledMinutes) }))
+      .sort((a, b) => (b.utilisation ?? -1) - (a.utilisation ?? -1)),
+    totals: {
+      bookings: bookings.length,
+      capacityMinutes,
+      bookedMinutes,
+      utilisation: toPercent(bookedMinutes, capacityMinutes)
+    }
+  };
+};
+
+// A drag-and-drop change from the calendar: move the booking to another day or
+// slot, replace its team, or both. The team is checked against the target slot
+// first and a move and new team are saved together, so a conflict or a full
+// slot leaves the booking as it was.
+const updateCalendarBooking = async (booking, { scheduledDate, scheduledTimeSlot, assignedStaff, reason }, actor) => {
+  const slot = getTimeSlot(scheduledTimeSlot || booking.scheduledTimeSlot);
+  if (!slot) {
+    throw new ErrorResponse('Invalid time slot', 400);
+  }
+
+  const date = scheduledDate ? new Date(scheduledDate) : booking.scheduledDate;
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('Valid scheduled date is required', 400);
+  }
+
+  const moved = startOfDay(date).getTime() !== startOfDay(booking.scheduledDate).getTime() ||
+    slot.label !== booking.scheduledTimeSlot;
+  const reassigning = assignedStaff !== undefined;
+
+  if (!moved && !reassigning) {
+    throw new ErrorResponse('Provide a new date, time slot or team', 400);
+  }
+
+  if (reassigning) {
+    if (!Array.isArray(assignedStaff)) {
+      throw new ErrorResponse('Assigned staff must be a list', 400);
+    }
+    if (!['confirmed', 'assigned'].includes(booking.status)) {
+      throw new ErrorResponse(`Staff can only be assigned to confirmed bookings (booking is '${booking.status}')`, 409);
+    }
+  }
+
+  let staffChanges;
+  if (moved) {
+    const team = reassigning ? await validateTeam(booking, assignedStaff, date, slot) : undefined;
+    ({ staffChanges } = await rescheduleBooking(booking, {
+      scheduledDate: date,
+      timeSlot: slot,
+      reason: reason || 'Moved on the operations calendar',
+      actor,
+      team
+    }));
+  } else {
+    ({ staffChanges } = await assignTeam(booking, assignedStaff, actor));
+  }
+
+  return { booking, moved, staffChanges };
+};
+
+module.exports = {
+  CALENDAR_VIEWS,
+  buildOperationsCalendar,
+  updateCalendarBooking
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
+const ErrorResponse = require('../utils/errorResponse');
+const { transitionBooking } = require('./bookingStatusService');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Whether a checkout response really comes from Razorpay for this order
+const isValidCheckoutSignature = (orderId, paymentId, signature) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+  return signature === expected;
+};
+
+// Refund a successful payment through the gateway and record it on the Payment
+const refundPayment = async (payment, amount, { reason, processedBy } = {}) => {
+  if (!payment.canRefund()) {
+    throw new ErrorResponse('Only successful payments can be refunded', 400);
+  }
+
+  if (amount <= 0 || amount > payment.amount) {
+    throw new ErrorResponse('Refund amount must be between 0 and the payment amount', 400);
+  }
+
+  if (!razorpay) {
+    throw new ErrorResponse('Payment gateway is not configured', 503);
+  }
+
+  const refund = await razorpay.payments.refund(payment.gatewayTransactionId, {
+    amount: Math.round(amount * 100), // amount in paise
+    notes: {
+      reason: reason || 'Customer requested refund'
+    }
+  });
+
+  await payment.processRefund(amount, reason, processedBy);
+  payment.refund.refundTransactionId = refund.id;
+  payment.refund.refundGatewayResponse = refund;
+  await payment.save();
+
+  return refund;
+};
+
+// Refund in full a payment that landed after its booking expired or was
+// cancelled. A gateway failure is logged and left for an admin to retry through
+// the refund endpoint. Returns whether the refund went through; the caller has
+// linked the payment to the booking.
+const refundLatePayment = async (booking, payment, reason) => {
+  try {
+    await refundPayment(payment, payment.amount, { reason });
+    transitionBooking(booking, 'refunded', { reason });
+    await booking.save();
+    return true;
+  } catch (error) {
+    logger.error(`Refund failed for payment ${payment.gatewayTransactionId} on ${booking.status} booking ${booking.bookingNumber}:`, error);
+    await booking.save();
+    return false;
+  }
+};
+
+module.exports = {
+  isValidCheckoutSignature,
+  refundPayment,
+  refundLatePayment
+};
@@ -0,0 +1,57 @@
+const PricingRule = require('../models/PricingRule');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay, getDayName, toDateKey } = require('../utils/dateUtils');
+
+const normalizeCity = (city) => String(city || '').trim().toLowerCase();
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Whether a rule's conditions all hold for a booking. `context` is
+// { scheduledDate, timeSlot, city, bookedAt }; a rule that depends on the date
+// or slot never applies without them.
+const matchesRule = (rule, { scheduledDate, timeSlot, city, bookedAt = new Date() } = {}) => {
+  const {
+    daysOfWeek = [],
+    dates = [],
+    dateRanges = [],
+    timeSlots = [],
+    leadTimeHours = {},
+    cities = []
+  } = rule.conditions || {};
+  const slot = getTimeSlot(timeSlot);
+  const day = scheduledDate ? startOfDay(scheduledDate) : null;
+
+  if (daysOfWeek.length && !(day && daysOfWeek.includes(getDayName(day)))) return false;
+
+  if (dates.length || dateRanges.length) {
+    if (!day) return false;
+    const onDate = dates.some(date => toDateKey(date) === toDateKey(day));
+    const inRange = dateRanges.some(range => day >= startOfDay(range.startDate) && day <= startOfDay(range.endDate));
+    if (!onDate && !inRange) return false;
+  }
+
+  if (timeSlots.length && !(slot && timeSlots.includes(slot.label))) return false;
+
+  if (isSet(leadTimeHours.min) || isSet(leadTimeHours.max)) {
+    if (!day || !slot) return false;
+    const start = new Date(day.getTime() + toMinutes(slot.startTime) * 60 * 1000);
+    const hoursAhead = (start - new Date(bookedAt)) / (60 * 60 * 1000);
+    if (isSet(leadTimeHours.min) && hoursAhead < leadTimeHours.min) return false;
+    if (isSet(leadTimeHours.max) && hoursAhead > leadTimeHours.max) return false;
+  }
+
+  if (cities.length && !cities.some(ruleCity => normalizeCity(ruleCity) === normalizeCity(city))) return false;
+
+  return true;
+};
+
+// Active rules that apply to a booking, in the order they are applied
+const findApplicableRules = async (context = {}) => {
+  const rules = await PricingRule.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+  return rules.filter(rule => matchesRule(rule, context));
+};
+
+module.exports = {
+  matchesRule,
+  findApplicableRules
+};
@@ -0,0 +1,223 @@
+const Service = require('../models/Service');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { findApplicableRules } = require('./pricingRuleService');
+
+// Used when the gst_rate setting has not been seeded (percentage)
+const DEFAULT_GST_RATE = 18;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Apply pricing rules to a base price in order. Returns the adjusted price and
+// what each rule added (negative for reductions); the price never drops below 0.
+const applyPricingRules = (basePrice, rules = []) => {
+  let price = basePrice;
+
+  const adjustments = rules.map(rule => {
+    const before = price;
+    price = rule.adjustment.type === 'multiplier'
+      ? price * rule.adjustment.value
+      : price + rule.adjustment.value;
+    price = roundCurrency(Math.max(price, 0));
+    return { rule, amount: roundCurrency(price - before) };
+  });
+
+  return { price, adjustments };
+};
+
+// Per-unit service charge for a property: base price (after any pricing
+// rules) plus area, room and bathroom rates, lifted to the service's minimum charge
+const calculateUnitPrice = (service, propertyDetails = {}, rules = []) => {
+  const { pricePerSqFt, pricePerRoom, pricePerBathroom, minimumCharge } = service.pricing;
+  const { price: basePrice, adjustments } = applyPricingRules(service.pricing.basePrice, rules);
+
+  const charges = {
+    base: basePrice,
+    pricingRules: roundCurrency(basePrice - service.pricing.basePrice),
+    area: roundCurrency((pricePerSqFt || 0) * (propertyDetails.squareFeet || 0)),
+    rooms: roundCurrency((pricePerRoom || 0) * (propertyDetails.rooms || 0)),
+    bathrooms: roundCurrency((pricePerBathroom || 0) * (propertyDetails.bathrooms || 0))
+  };
+
+  const calculated = charges.base + charges.area + charges.rooms + charges.bathrooms;
+  charges.minimumAdjustment = roundCurrency(Math.max((minimumCharge || 0) - calculated, 0));
+
+  return { unitPrice: roundCurrency(calculated + charges.minimumAdjustment), charges, adjustments };
+};
+
+// Resolve requested add-ons (by id or name) against the service's catalogue
+// entries. Prices and durations always come from the catalogue.
+const resolveAddOns = (service, requestedAddOns = []) => {
+  return requestedAddOns.map(requested => {
+    const ref = typeof requested === 'string' ? { name: requested } : requested;
+    const addOnId = ref.addOnId || ref._id || ref.id;
+    const name = String(ref.name || '').trim().toLowerCase();
+
+    const addOn = service.addOns.find(entry =>
+      addOnId ? entry._id.toString() === String(addOnId) : entry.name.toLowerCase() === name
+    );
+    if (!addOn) {
+      throw new ErrorResponse(`Add-on ${addOnId || ref.name} is not available for ${service.serviceName}`, 400);
+    }
+
+    const quantity = ref.quantity === undefined ? 1 : Number(ref.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorResponse(`Quantity for add-on ${addOn.name} must be a whole number of at least 1`, 400);
+    }
+
+    return {
+      addOnId: addOn._id,
+      name: addOn.name,
+      price: addOn.price,
+      quantity,
+      duration: addOn.duration || 0
+    };
+  });
+};
+
+// Resolve requested services against the catalogue and price each line for
+// the given property. Used for quotes and bookings so both always agree.
+// With a `pricingContext` ({ scheduledDate, timeSlot, city }) the matching
+// pricing rules adjust each base price; `appliedRules` totals what each added.
+const buildBookingServices = async (serviceItems, propertyDetails = {}, pricingContext = null) => {
+  let subtotal = 0;
+  const services = [];
+  const rules = pricingContext ? await findApplicableRules(pricingContext) : [];
+  const appliedRules = new Map();
+
+  for (const serviceItem of serviceItems) {
+    const service = await Service.findById(serviceItem.serviceId);
+    if (!service || !service.isActive) {
+      throw new ErrorResponse(`Service ${serviceItem.serviceId} not found or inactive`, 400);
+    }
+
+    const { unitPrice, charges, adjustments } = calculateUnitPrice(service, propertyDetails, rules);
+    // Add-ons are per unit of the service, like the unit price
+    const addOns = resolveAddOns(service, serviceItem.addOns);
+    const addOnTotal = addOns.reduce((sum, addOn) => sum + addOn.price * addOn.quantity, 0);
+    const itemTotal = roundCurrency((unitPrice + addOnTotal) * serviceItem.quantity);
+
+    services.push({
+      serviceId: service._id,
+      serviceName: service.serviceName,
+      quantity: serviceItem.quantity,
+      basePrice: service.pricing.basePrice,
+      unitPrice,
+      charges,
+      duration: service.duration,
+      hsnSac: service.tax?.hsnSac,
+      gstRate: service.tax?.gstRate,
+      addOns,
+      subtotal: itemTotal
+    });
+
+    subtotal += itemTotal;
+
+    for (const { rule, amount } of adjustments) {
+      const key = rule._id.toString();
+      if (!appliedRules.has(key)) {
+        appliedRules.set(key, {
+          ruleId: rule._id,
+          name: rule.name,
+          adjustmentType: rule.adjustment.type,
+          value: rule.adjustment.value,
+          amount: 0
+        });
+      }
+      const applied = appliedRules.get(key);
+      applied.amount = roundCurrency(applied.amount + amount * serviceItem.quantity);
+    }
+  }
+
+  return { services, subtotal: roundCurrency(subtotal), appliedRules: [...appliedRules.values()] };
+};
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+// Split `discount` across service lines in proportion to their subtotals. The
+// last line absorbs rounding so the parts add up to the discount exactly.
+const allocateDiscount = (services, subtotal, discount) => {
+  let remaining = discount;
+
+  return services.map((line, index) => {
+    const share = index === services.length - 1
+      ? remaining
+      : roundCurrency(subtotal > 0 ? discount * line.subtotal / subtotal : 0);
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+// GST on each service line after discount, as CGST+SGST when the service address
+// is in the company's registered state and IGST otherwise
+const calculateGst = async (services, discounts, state) => {
+  const [defaultRate, companyState] = await Promise.all([
+    SystemSettings.getValue('gst_rate', DEFAULT_GST_RATE),
+    SystemSettings.getValue('company_state', '')
+  ]);
+
+  // Without a state on either side the supply is treated as local
+  const interState = Boolean(state && companyState) && normalizeState(state) !== normalizeState(companyState);
+  const breakdown = {
+    supplyType: interState ? 'inter_state' : 'intra_state',
+    placeOfSupply: (state || companyState || '').trim() || undefined,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    lines: []
+  };
+
+  services.forEach((line, index) => {
+    const taxableAmount = roundCurrency(line.subtotal - discounts[index]);
+    const rate = line.gstRate ?? defaultRate;
+    const cgst = interState ? 0 : roundCurrency(taxableAmount * rate / 200);
+    const igst = interState ? roundCurrency(taxableAmount * rate / 100) : 0;
+
+    breakdown.lines.push({ serviceId: line.serviceId, hsnSac: line.hsnSac, taxableAmount, rate, cgst, sgst: cgst, igst });
+    breakdown.cgst = roundCurrency(breakdown.cgst + cgst);
+    breakdown.sgst = roundCurrency(breakdown.sgst + cgst);
+    breakdown.igst = roundCurrency(breakdown.igst + igst);
+  });
+
+  return breakdown;
+};
+
+// Booking.pricing for priced service lines, with any discount taken before tax.
+// `state` is the service address state that decides the GST split and
+// `travelSurcharge` the service area's charge, which is never discounted.
+const calculateTotals = async (services, { discount = 0, state, travelSurcharge = 0 } = {}) => {
+  const subtotal = roundCurrency(services.reduce((sum, line) => sum + line.subtotal, 0));
+  const appliedDiscount = roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+  const surcharge = roundCurrency(Math.max(travelSurcharge || 0, 0));
+
+  const lines = [...services];
+  const discounts = allocateDiscount(services, subtotal, appliedDiscount);
+  if (surcharge > 0) {
+    // Part of the same supply, so taxed like the first (principal) service
+    lines.push({ subtotal: surcharge, hsnSac: services[0]?.hsnSac, gstRate: services[0]?.gstRate });
+    discounts.push(0);
+  }
+
+  const taxBreakdown = await calculateGst(lines, discounts, state);
+  const tax = roundCurrency(taxBreakdown.cgst + taxBreakdown.sgst + taxBreakdown.igst);
+
+  return {
+    subtotal,
+    discount: appliedDiscount,
+    travelSurcharge: surcharge,
+    tax,
+    total: roundCurrency(subtotal - appliedDiscount + surcharge + tax),
+    taxBreakdown
+  };
+};
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  roundCurrency,
+  applyPricingRules,
+  calculateUnitPrice,
+  resolveAddOns,
+  buildBookingServices,
+  calculateGst,
+  calculateTotals
+};
@@ -0,0 +1,29 @@
+const { buildBookingServices, calculateTotals } = require('./pricingService');
+const { evaluateCoupon } = require('./couponService');
+const { assertCoverage } = require('./serviceAreaService');
+
+// Price a set of services for a property, with an optional coupon and the GST
+// split for the service address state. With a `serviceAddress` the address must
+// be in a service area offering every service, and the area's travel surcharge
+// is added. With a `scheduledDate` and `timeSlot` the pricing rules for that
+// day, slot and city (`city` or the address city) apply. Bookings are charged
+// exactly this quote.
+const quoteBooking = async (serviceItems, { propertyDetails = {}, state, couponCode, serviceAddress, scheduledDate, timeSlot, city } = {}) => {
+  const pricingContext = scheduledDate ? { scheduledDate, timeSlot, city: city || serviceAddress?.city } : null;
+  const { services, subtotal, appliedRules } = await buildBookingServices(serviceItems, propertyDetails, pricingContext);
+  const coverage = serviceAddress ? await assertCoverage(serviceAddress, services) : null;
+  const coupon = couponCode ? await evaluateCoupon(couponCode, services, subtotal) : null;
+
+  const pricing = await calculateTotals(services, {
+    discount: coupon ? coupon.discount : 0,
+    state: state || serviceAddress?.state,
+    travelSurcharge: coverage ? coverage.travelSurcharge : 0
+  });
+  pricing.appliedRules = appliedRules;
+
+  return { services, pricing, coupon, serviceArea: coverage?.area || null };
+};
+
+module.exports = {
+  quoteBooking
+};
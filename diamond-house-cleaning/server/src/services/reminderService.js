@@ -0,0 +1,192 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const { getDeliveryChannels, deliverNotification } = require('./notificationDeliveryService');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay, addDays, toDateKey } = require('../utils/dateUtils');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Bookings that are going ahead and worth a reminder
+const REMINDER_STATUSES = ['confirmed', 'assigned'];
+
+const STAFF_REMINDER = 'staff_next_day';
+
+// Notification messages are capped at 500 characters
+const MAX_MESSAGE_LENGTH = 500;
+
+// When the booking's time slot starts
+const getBookingStart = (booking) => {
+  const slot = getTimeSlot(booking.scheduledTimeSlot);
+  const start = startOfDay(booking.scheduledDate);
+  if (slot) start.setMinutes(toMinutes(slot.startTime));
+  return start;
+};
+
+const truncate = (text) => (text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : text);
+
+// Log the reminder on the booking as pending, one entry per channel, unless it
+// was already logged for this recipient. The check and the write are one
+// update, so overlapping runs cannot both send the same reminder.
+const claimReminder = async (bookingId, reminder, recipientId, channels) => {
+  const result = await Booking.updateOne(
+    { _id: bookingId, notifications: { $not: { $elemMatch: { reminder, recipient: recipientId } } } },
+    { $push: { notifications: { $each: channels.map(type => ({ type, reminder, recipient: recipientId })) } } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Replace the pending entries of a claimed reminder with the delivery outcome
+const recordDelivery = (bookingId, reminder, recipientId, results) => {
+  const update = {};
+  const arrayFilters = results.map(({ channel, status, error }, index) => {
+    update[`notifications.$[c${index}].status`] = status;
+    update[`notifications.$[c${index}].sentAt`] = new Date();
+    if (error) update[`notifications.$[c${index}].error`] = error;
+
+    return {
+      [`c${index}.reminder`]: reminder,
+      [`c${index}.recipient`]: recipientId,
+      [`c${index}.type`]: channel
+    };
+  });
+
+  return Booking.updateOne({ _id: bookingId }, { $set: update }, { arrayFilters });
+};
+
+// Create the in-app notification and send it on the other channels. A failure
+// is recorded against every channel so the reminder is not retried.
+const sendReminder = async (recipient, title, message, data, channels) => {
+  try {
+    const notification = await Notification.sendNotification(recipient._id, 'reminder', title, truncate(message), data, { channels });
+    return await deliverNotification(notification, recipient);
+  } catch (error) {
+    logger.error(`Reminder to ${recipient.email} failed:`, error);
+    return channels.map(channel => ({ channel, status: 'failed', error: error.message }));
+  }
+};
+
+const isDelivered = (results) => results.some(result => result.status === 'sent');
+
+// Remind customers ahead of their bookings. Each run sends the closest
+// reminder that is due (e.g. the 2h one rather than the 24h one for a booking
+// made an hour ahead), and each reminder goes out once.
+const sendCustomerReminders = async (now, channels) => {
+  const hours = (await SystemSettings.getValue('reminder_customer_hours', [24, 2]))
+    .map(Number)
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+  const summary = { sent: 0, failed: 0 };
+
+  if (!hours.length) return summary;
+
+  const bookings = await Booking.find({
+    scheduledDate: {
+      $gte: startOfDay(now),
+      $lte: new Date(now.getTime() + hours[hours.length - 1] * 60 * 60 * 1000)
+    },
+    status: { $in: REMINDER_STATUSES }
+  }).populate('customerId', 'firstName lastName email phone');
+
+  for (const booking of bookings) {
+    const customer = booking.customerId;
+    const start = getBookingStart(booking);
+    const hoursLeft = (start - now) / (60 * 60 * 1000);
+    const due = hours.find(value => hoursLeft <= value);
+
+    if (!customer || hoursLeft <= 0 || due === undefined) continue;
+
+    const reminder = `customer_${due}h`;
+    if (!(await claimReminder(booking._id, reminder, customer._id, channels))) continue;
+
+    const results = await sendReminder(
+      customer,
+      'Upcoming cleaning reminder',
+      `Hi ${customer.firstName}, your cleaning ${booking.bookingNumber} is on ${toDateKey(start)} (${booking.scheduledTimeSlot}) at ${booking.serviceAddress.street}, ${booking.serviceAddress.city}.`,
+      { bookingId: booking._id, bookingNumber: booking.bookingNumber, reminder },
+      channels
+    );
+    await recordDelivery(booking._id, reminder, customer._id, results);
+
+    summary[isDelivered(results) ? 'sent' : 'failed']++;
+  }
+
+  return summary;
+};
+
+// Once the reminder hour has passed, send each staff member one message
+// listing their jobs for the next day that they have not been reminded of.
+// Jobs assigned later that evening go out in a follow-up on the next run.
+const sendStaffReminders = async (now, channels) => {
+  const fromHour = await SystemSettings.getValue('reminder_staff_hour', 18);
+  const summary = { sent: 0, failed: 0 };
+
+  if (now.getHours() < fromHour) return summary;
+
+  const tomorrow = addDays(startOfDay(now), 1);
+  const bookings = await Booking.find({
+    scheduledDate: { $gte: tomorrow, $lt: addDays(tomorrow, 1) },
+    status: { $in: REMINDER_STATUSES },
+    'assignedStaff.0': { $exists: true }
+  })
+    .populate('assignedStaff.staffId', 'firstName lastName email phone')
+    .sort({ scheduledDate: 1 });
+
+  const jobsByStaff = new Map();
+  for (const booking of bookings) {
+    for (const assignment of booking.assignedStaff) {
+      const staff = assignment.staffId;
+      if (!staff?._id) continue;
+
+      const key = staff._id.toString();
+      if (!jobsByStaff.has(key)) jobsByStaff.set(key, { staff, bookings: [] });
+      jobsByStaff.get(key).bookings.push(booking);
+    }
+  }
+
+  for (const { staff, bookings: jobs } of jobsByStaff.values()) {
+    const claimed = [];
+    for (const booking of jobs) {
+      if (await claimReminder(booking._id, STAFF_REMINDER, staff._id, channels)) claimed.push(booking);
+    }
+
+    if (!claimed.length) continue;
+
+    const list = claimed
+      .map(booking => `${booking.bookingNumber} ${booking.scheduledTimeSlot}, ${booking.serviceAddress.city}`)
+      .join('; ');
+    const results = await sendReminder(
+      staff,
+      'Your jobs for tomorrow',
+      `Hi ${staff.firstName}, you have ${claimed.length} job${claimed.length === 1 ? '' : 's'} on ${toDateKey(tomorrow)}: ${list}.`,
+      { date: toDateKey(tomorrow), bookingIds: claimed.map(booking => booking._id), reminder: STAFF_REMINDER },
+      channels
+    );
+
+    for (const booking of claimed) {
+      await recordDelivery(booking._id, STAFF_REMINDER, staff._id, results);
+    }
+
+    summary[isDelivered(results) ? 'sent' : 'failed']++;
+  }
+
+  return summary;
+};
+
+// Send all reminders that are due; run every 15 minutes or so (e.g. from cron)
+const sendBookingReminders = async (now = new Date()) => {
+  const channels = await getDeliveryChannels();
+
+  const customers = await sendCustomerReminders(now, channels);
+  const staff = await sendStaffReminders(now, channels);
+
+  if (customers.sent || customers.failed || staff.sent || staff.failed) {
+    logger.info(`Reminders: ${customers.sent} customer and ${staff.sent} staff sent, ${customers.failed + staff.failed} failed`);
+  }
+
+  return { channels, customers, staff };
+};
+
+module.exports = {
+  sendBookingReminders
+};
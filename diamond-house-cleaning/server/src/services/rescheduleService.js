@@ -0,0 +1,259 @@
+const Staff = require('../models/Staff');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { checkSlotCapacity, getRequiredMinutes } = require('./availabilityService');
+const { transitionBooking, SYSTEM_ACTOR } = require('./bookingStatusService');
+const { offerFreedCapacitySafely } = require('./waitlistService');
+const { placeHold, releaseHold } = require('./slotHoldService');
+const { applyTeam } = require('./staffAssignmentService');
+const { buildBookingServices, calculateTotals } = require('./pricingService');
+const { startOfDay } = require('../utils/dateUtils');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Keep each assigned staff member who is free in the new slot and replace the rest
+const reassignStaff = async (booking, date, slot) => {
+  const changes = { kept: [], replaced: [], removed: [] };
+  if (booking.assignedStaff.length === 0) return changes;
+
+  const bookedSlots = await Staff.getBookedSlots(date, { excludeBookingId: booking._id });
+  const staffMembers = await Staff.find({
+    userId: { $in: booking.assignedStaff.map(assignment => assignment.staffId) }
+  });
+
+  const assignments = [];
+  const takenUserIds = booking.assignedStaff.map(assignment => assignment.staffId);
+  let replacements = null;
+
+  for (const assignment of booking.assignedStaff) {
+    const staff = staffMembers.find(s => s.userId.toString() === assignment.staffId.toString());
+
+    if (staff && staff.isFreeFor(date, slot, bookedSlots)) {
+      assignments.push(assignment);
+      changes.kept.push(assignment.staffId);
+      continue;
+    }
+
+    if (!replacements) {
+      replacements = await Staff.getAvailableStaff(date, slot, [], {
+        excludeBookingId: booking._id,
+        excludeUserIds: takenUserIds
+      });
+    }
+
+    const replacement = replacements.shift();
+    if (replacement) {
+      const replacementId = replacement.userId._id;
+      assignments.push({ staffId: replacementId, role: assignment.role, assignedAt: new Date() });
+      takenUserIds.push(replacementId);
+      changes.replaced.push({ from: assignment.staffId, to: replacementId });
+    } else {
+      changes.removed.push(assignment.staffId);
+    }
+  }
+
+  booking.assignedStaff = assignments;
+
+  return changes;
+};
+
+const notifyReschedule = async (booking, changes, { priceChanged } = {}) => {
+  const when = `${new Date(booking.scheduledDate).toDateString()}, ${booking.scheduledTimeSlot}`;
+  const price = priceChanged ? ` The new total is ${booking.pricing.total}.` : '';
+  const data = { bookingId: booking._id, bookingNumber: booking.bookingNumber };
+
+  const notifications = [
+    Notification.sendNotification(
+      booking.customerId,
+      'booking_rescheduled',
+      'Booking rescheduled',
+      `Your booking ${booking.bookingNumber} has been moved to ${when}.${price}`,
+      data
+    )
+  ];
+
+  for (const assignment of booking.assignedStaff) {
+    notifications.push(Notification.sendNotification(
+      assignment.staffId,
+      'booking_rescheduled',
+      'Job rescheduled',
+      `Booking ${booking.bookingNumber} is now scheduled for ${when}.`,
+      data
+    ));
+  }
+
+  const unassigned = [...changes.removed, ...(changes.replaced || []).map(change => change.from)];
+  for (const staffId of unassigned) {
+    notifications.push(Notification.sendNotification(
+      staffId,
+      'booking_rescheduled',
+      'Job unassigned',
+      `Booking ${booking.bookingNumber} was rescheduled and you are no longer assigned to it.`,
+      data
+    ));
+  }
+
+  try {
+    await Promise.all(notifications);
+  } catch (error) {
+    logger.error(`Reschedule notifications failed for booking ${booking.bookingNumber}:`, error);
+  }
+};
+
+// An unpaid booking at checkout counts towards capacity through its slot hold
+// rather than itself, so the hold has to move with it. A hold is placed in the
+// new slot until the same expiry (failing with 409 when the slot is full) and
+// the old one released once the move is saved.
+const moveCheckoutHold = async (booking, date, slot, requiredMinutes) => {
+  const remainingMs = booking.hold.expiresAt - Date.now();
+  if (remainingMs <= 0) {
+    throw new ErrorResponse('The checkout hold on this booking has expired', 409);
+  }
+
+  return placeHold({
+    customerId: booking.customerId,
+    bookingId: booking._id,
+    date,
+    timeSlot: slot,
+    requiredMinutes,
+    minutes: remainingMs / (60 * 1000)
+  });
+};
+
+// Price the booked services for the new slot, since pricing rules depend on
+// the day, slot and city. The coupon discount and travel surcharge already on
+// the booking carry over. A paid booking keeps what was paid, so a move that
+// would change its total is refused with 409 rather than leaving the payment
+// short or over; an unpaid one is simply charged the new price.
+const repriceForSlot = async (booking, date, slot) => {
+  const items = booking.services.map(line => ({
+    serviceId: line.serviceId,
+    quantity: line.quantity,
+    // Older bookings stored add-ons without their catalogue id, only the name
+    addOns: line.addOns.map(addOn => (addOn.addOnId
+      ? { addOnId: addOn.addOnId, quantity: addOn.quantity }
+      : { name: addOn.name, quantity: addOn.quantity }))
+  }));
+
+  const { services, appliedRules } = await buildBookingServices(items, booking.propertyDetails, {
+    scheduledDate: date,
+    timeSlot: slot,
+    city: booking.serviceAddress?.city
+  });
+  const pricing = await calculateTotals(services, {
+    discount: booking.pricing.discount,
+    state: booking.serviceAddress?.state,
+    travelSurcharge: booking.pricing.travelSurcharge
+  });
+  pricing.appliedRules = appliedRules;
+  pricing.coupon = booking.pricing.coupon;
+
+  if (booking.payment) {
+    if (pricing.total !== booking.pricing.total) {
+      throw new ErrorResponse(
+        `Moving this paid booking to ${slot.label} changes its price from ${booking.pricing.total} to ${pricing.total}; cancel and rebook instead`,
+        409,
+        { currentTotal: booking.pricing.total, newTotal: pricing.total }
+      );
+    }
+    return null;
+  }
+
+  return { services, pricing };
+};
+
+// Move a booking to a new date and slot, enforcing the reschedule window,
+// the per-booking reschedule cap and slot capacity, and re-pricing it for the
+// new slot. The current team is kept where free and topped up otherwise,
+// unless a `team` already validated for the new slot is given, which replaces
+// it in the same save.
+const rescheduleBooking = async (booking, { scheduledDate, timeSlot, reason, actor, team }) => {
+  const rescheduleHours = await SystemSettings.getValue('booking_reschedule_hours', 4);
+  if (!booking.canReschedule(rescheduleHours)) {
+    throw new ErrorResponse(`Bookings can only be rescheduled up to ${rescheduleHours} hours before the scheduled time`, 400);
+  }
+
+  const maxReschedules = await SystemSettings.getValue('booking_max_reschedules', 2);
+  if (actor.role !== 'admin' && booking.rescheduleHistory.length >= maxReschedules) {
+    throw new ErrorResponse(`Booking has already been rescheduled ${maxReschedules} times`, 400);
+  }
+
+  const newDate = new Date(scheduledDate);
+  if (newDate < new Date()) {
+    throw new ErrorResponse('Scheduled date cannot be in the past', 400);
+  }
+
+  if (startOfDay(newDate).getTime() === startOfDay(booking.scheduledDate).getTime() &&
+      timeSlot.label === booking.scheduledTimeSlot) {
+    throw new ErrorResponse('Booking is already scheduled for this slot', 400);
+  }
+
+  const repriced = await repriceForSlot(booking, newDate, timeSlot);
+  const requiredMinutes = getRequiredMinutes(repriced ? repriced.services : booking.services);
+
+  const held = booking.status === 'pending' && booking.hold?.holdId;
+  let newHold;
+  if (held) {
+    newHold = await moveCheckoutHold(booking, newDate, timeSlot, requiredMinutes);
+  } else {
+    const capacity = await checkSlotCapacity(newDate, timeSlot, requiredMinutes, {
+      excludeBookingId: booking._id
+    });
+    if (!capacity.available) {
+      throw new ErrorResponse(capacity.reason, 409, { slot: capacity.slot });
+    }
+  }
+
+  const previousHoldId = held ? booking.hold.holdId : null;
+  const freedDate = booking.scheduledDate;
+  const freedSlot = booking.scheduledTimeSlot;
+  const previousTotal = booking.pricing.total;
+  let changes;
+
+  try {
+    changes = team ? applyTeam(booking, team, actor) : await reassignStaff(booking, newDate, timeSlot);
+
+    booking.rescheduleHistory.push({
+      fromDate: booking.scheduledDate,
+      fromTimeSlot: booking.scheduledTimeSlot,
+      toDate: newDate,
+      toTimeSlot: timeSlot.label,
+      rescheduledBy: actor._id,
+      reason
+    });
+    booking.scheduledDate = newDate;
+    booking.scheduledTimeSlot = timeSlot.label;
+
+    if (repriced) {
+      booking.services = repriced.services;
+      booking.pricing = repriced.pricing;
+    }
+
+    // Nobody left to do the job: hand it back for assignment
+    if (booking.status === 'assigned' && booking.assignedStaff.length === 0) {
+      transitionBooking(booking, 'confirmed', {
+        actor: SYSTEM_ACTOR,
+        reason: 'No assigned staff available after reschedule'
+      });
+    }
+
+    if (newHold) {
+      booking.hold = { holdId: newHold._id, expiresAt: newHold.expiresAt };
+    }
+
+    await booking.save();
+  } catch (error) {
+    if (newHold) await releaseHold(newHold._id);
+    throw error;
+  }
+  if (previousHoldId) await releaseHold(previousHoldId);
+
+  await notifyReschedule(booking, changes, { priceChanged: booking.pricing.total !== previousTotal });
+  await offerFreedCapacitySafely(freedDate, freedSlot);
+
+  return { booking, staffChanges: changes };
+};
+
+module.exports = {
+  rescheduleBooking
+};
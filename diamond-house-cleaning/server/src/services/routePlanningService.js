@@ -0,0 +1,211 @@
+const Booking = require('../models/Booking');
+const Staff = require('../models/Staff');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { getBookingMinutes } = require('./availabilityService');
+const { isValidCoordinates, distanceInMeters } = require('../utils/geo');
+const { TIME_SLOTS, getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay, addDays, toDateKey } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+
+// Straight-line distance stretched by a road factor and driven at an average
+// city speed. Returns matrix[i][j] = { distanceMeters, durationMinutes }.
+const haversineMatrix = async (points) => {
+  const [speedKmh, roadFactor] = await Promise.all([
+    SystemSettings.getValue('route_average_speed_kmh', 25),
+    SystemSettings.getValue('route_road_factor', 1.3)
+  ]);
+
+  return points.map(from => points.map(to => {
+    const distanceMeters = Math.round(distanceInMeters(from, to) * roadFactor);
+    return { distanceMeters, durationMinutes: Math.round(distanceMeters / 1000 / speedKmh * 60) };
+  }));
+};
+
+// Distance providers by name, chosen with the route_distance_provider setting.
+// A provider takes a list of { latitude, longitude } points and resolves to a
+// full matrix in the shape haversineMatrix returns (e.g. from a maps API).
+const distanceProviders = {
+  haversine: haversineMatrix
+};
+
+const registerDistanceProvider = (name, provider) => {
+  distanceProviders[name] = provider;
+};
+
+const getDistanceProvider = async () => {
+  const name = await SystemSettings.getValue('route_distance_provider', 'haversine');
+  return { name: distanceProviders[name] ? name : 'haversine', getMatrix: distanceProviders[name] || haversineMatrix };
+};
+
+const toPoint = (coordinates) => ({ latitude: Number(coordinates.latitude), longitude: Number(coordinates.longitude) });
+
+const atMinutes = (day, minutes) => new Date(day.getTime() + minutes * 60 * 1000);
+
+const formatAddress = (address = {}) => [address.street, address.city, address.zipCode].filter(Boolean).join(', ');
+
+// Order one slot's jobs greedily by the nearest next stop from `fromIndex`.
+// Jobs without coordinates cannot be placed on the map and go last.
+const orderSlotJobs = (jobs, fromIndex, matrix) => {
+  const located = jobs.filter(job => job.pointIndex !== null);
+  const ordered = [];
+  let current = fromIndex;
+
+  while (located.length) {
+    let next = 0;
+    if (current !== null) {
+      located.forEach((job, index) => {
+        if (matrix[current][job.pointIndex].distanceMeters < matrix[current][located[next].pointIndex].distanceMeters) {
+          next = index;
+        }
+      });
+    }
+
+    const [job] = located.splice(next, 1);
+    ordered.push(job);
+    current = job.pointIndex;
+  }
+
+  return [...ordered, ...jobs.filter(job => job.pointIndex === null)];
+};
+
+// Plan a staff member's day: slots in time order and, within each slot, jobs
+// in nearest-next order from the previous stop (or from the staff member's home
+// when it has coordinates). Each stop carries the travel leg to it and the
+// estimated arrival, start and finish; a stop is late when the crew is expected
+// to arrive after its slot has ended.
+const planStaffRoute = async (staffUserId, date) => {
+  const day = startOfDay(date);
+
+  const [staff, bookings, provider] = await Promise.all([
+    Staff.findOne({ userId: staffUserId }).populate('userId', 'firstName lastName'),
+    Booking.find({
+      scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+      status: { $in: CAPACITY_STATUSES },
+      'assignedStaff.staffId': staffUserId
+    }).select('bookingNumber scheduledDate scheduledTimeSlot serviceAddress services assignedStaff status'),
+    getDistanceProvider()
+  ]);
+
+  if (!staff) {
+    throw new ErrorResponse('Staff member not found', 404);
+  }
+
+  // Matrix points: the home (if known) followed by every located job
+  const points = [];
+  const home = staff.contact?.address?.coordinates;
+  const homeIndex = isValidCoordinates(home) ? points.push(toPoint(home)) - 1 : null;
+
+  const jobs = bookings.map(booking => {
+    const coordinates = booking.serviceAddress?.coordinates;
+    return {
+      booking,
+      slot: getTimeSlot(booking.scheduledTimeSlot),
+      pointIndex: isValidCoordinates(coordinates) ? points.push(toPoint(coordinates)) - 1 : null
+    };
+  });
+
+  const matrix = points.length > 1 ? await provider.getMatrix(points) : [];
+
+  const stops = [];
+  const warnings = [];
+  const totals = { distanceMeters: 0, travelMinutes: 0 };
+  let previousIndex = homeIndex;
+  let clock = null;
+
+  for (const slot of TIME_SLOTS) {
+    const slotJobs = jobs.filter(job => job.slot?.label === slot.label);
+    const slotStart = toMinutes(slot.startTime);
+    const slotEnd = toMinutes(slot.endTime);
+
+    for (const job of orderSlotJobs(slotJobs, previousIndex, matrix)) {
+      const { booking } = job;
+      let travel = null;
+
+      if (job.pointIndex === null) {
+        warnings.push(`Booking ${booking.bookingNumber} has no coordinates; travel to it is not estimated`);
+      } else if (previousIndex !== null) {
+        travel = matrix[previousIndex][job.pointIndex];
+        totals.distanceMeters += travel.distanceMeters;
+        totals.travelMinutes += travel.durationMinutes;
+      }
+
+      // A day starts on time at the first slot; later stops wait for their slot to open
+      const arrival = clock === null ? slotStart : clock + (travel ? travel.durationMinutes : 0);
+      const start = Math.max(arrival, slotStart);
+      const teamSize = Math.max(booking.assignedStaff.length, 1);
+      const finish = start + Math.ceil(getBookingMinutes(booking) / teamSize);
+      const onTime = arrival < slotEnd;
+
+      if (!onTime) {
+        warnings.push(`Booking ${booking.bookingNumber}: estimated arrival is after the ${slot.label} slot ends`);
+      }
+
+      stops.push({
+        order: stops.length + 1,
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        status: booking.status,
+        scheduledTimeSlot: slot.label,
+        address: formatAddress(booking.serviceAddress),
+        coordinates: job.pointIndex !== null ? points[job.pointIndex] : null,
+        travelFromPrevious: travel && {
+          distanceKm: Math.round(travel.distanceMeters / 100) / 10,
+          minutes: travel.durationMinutes
+        },
+        estimatedArrival: atMinutes(day, arrival),
+        estimatedStart: atMinutes(day, start),
+        estimatedFinish: atMinutes(day, finish),
+        onTime
+      });
+
+      clock = finish;
+      if (job.pointIndex !== null) previousIndex = job.pointIndex;
+    }
+  }
+
+  return {
+    date: toDateKey(day),
+    staff: {
+      id: staff.userId._id,
+      name: `${staff.userId.firstName} ${staff.userId.lastName}`,
+      startsFromHome: homeIndex !== null
+    },
+    distanceProvider: provider.name,
+    stops,
+    totals: {
+      stops: stops.length,
+      distanceKm: Math.round(totals.distanceMeters / 100) / 10,
+      travelMinutes: totals.travelMinutes
+    },
+    warnings
+  };
+};
+
+// Route plans for every staff member with jobs on a day
+const planDayRoutes = async (date) => {
+  const day = startOfDay(date);
+  const staffIds = await Booking.distinct('assignedStaff.staffId', {
+    scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+    status: { $in: CAPACITY_STATUSES }
+  });
+
+  const plans = [];
+  for (const staffId of staffIds) {
+    try {
+      plans.push(await planStaffRoute(staffId, day));
+    } catch (error) {
+      // Assignments can outlive the staff record; those users have nothing to plan
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+
+  return plans;
+};
+
+module.exports = {
+  registerDistanceProvider,
+  haversineMatrix,
+  planStaffRoute,
+  planDayRoutes
+};
@@ -0,0 +1,92 @@
+const ServiceArea = require('../models/ServiceArea');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { isValidCoordinates, isPointInPolygon } = require('../utils/geo');
+
+const normalizePincode = (pincode) => String(pincode || '').trim();
+
+// Active areas containing a location, matched by pincode or by boundary
+const findAreasForLocation = async ({ pincode, coordinates }) => {
+  const code = normalizePincode(pincode);
+  const hasPoint = isValidCoordinates(coordinates);
+
+  const clauses = [];
+  if (code) clauses.push({ pincodes: code });
+  if (hasPoint) clauses.push({ 'boundary.2': { $exists: true } });
+  if (!clauses.length) return [];
+
+  const areas = await ServiceArea.find({ isActive: true, $or: clauses });
+  const point = hasPoint && { latitude: Number(coordinates.latitude), longitude: Number(coordinates.longitude) };
+
+  return areas.filter(area => (code && area.pincodes.includes(code)) ||
+    (point && area.boundary.length >= 3 && isPointInPolygon(point, area.boundary)));
+};
+
+// Whether every service in `services` ({ serviceId, serviceName }) is offered
+// at a location. A booking pays the highest travel surcharge among the areas
+// that offer its services. With the service_area_enforced setting off, or
+// until the first active area is set up, everything is covered and
+// surcharges still apply where an area matches.
+const getCoverage = async ({ pincode, coordinates }, services = []) => {
+  const [enforcedSetting, anyArea, areas] = await Promise.all([
+    SystemSettings.getValue('service_area_enforced', true),
+    ServiceArea.exists({ isActive: true }),
+    findAreasForLocation({ pincode, coordinates })
+  ]);
+  const enforced = enforcedSetting && Boolean(anyArea);
+
+  const uncovered = services.filter(service => !areas.some(area => area.offersService(service.serviceId)));
+  const offering = services.length
+    ? areas.filter(area => services.some(service => area.offersService(service.serviceId)))
+    : areas;
+  const area = offering.reduce((best, candidate) => {
+    return !best || candidate.travelSurcharge > best.travelSurcharge ? candidate : best;
+  }, null);
+
+  const coverage = {
+    covered: true,
+    area,
+    travelSurcharge: area ? area.travelSurcharge : 0,
+    uncoveredServiceIds: []
+  };
+  if (!enforced) return coverage;
+
+  const where = normalizePincode(pincode) ? `pincode ${normalizePincode(pincode)}` : 'this address';
+  if (!areas.length) {
+    return { ...coverage, covered: false, reason: `We do not serve ${where} yet` };
+  }
+  if (uncovered.length) {
+    const names = uncovered.map(service => service.serviceName || service.serviceId.toString());
+    return {
+      ...coverage,
+      covered: false,
+      uncoveredServiceIds: uncovered.map(service => service.serviceId),
+      reason: `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} not available at ${where}`
+    };
+  }
+
+  return coverage;
+};
+
+// Coverage for a service address, failing with 400 when it is not served
+const assertCoverage = async (serviceAddress = {}, services) => {
+  const coverage = await getCoverage({
+    pincode: serviceAddress.zipCode,
+    coordinates: serviceAddress.coordinates
+  }, services);
+
+  if (!coverage.covered) {
+    throw new ErrorResponse(coverage.reason, 400, {
+      pincode: serviceAddress.zipCode,
+      uncoveredServiceIds: coverage.uncoveredServiceIds
+    });
+  }
+
+  return coverage;
+};
+
+module.exports = {
+  findAreasForLocation,
+  getCoverage,
+  assertCoverage
+};
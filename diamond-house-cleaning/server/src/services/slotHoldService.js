@@ -0,0 +1,59 @@
+const SlotHold = require('../models/SlotHold');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { getAvailability } = require('./availabilityService');
+const { getTimeSlot } = require('../utils/timeSlots');
+const { startOfDay } = require('../utils/dateUtils');
+
+// Reserve `requiredMinutes` in a slot for `minutes` (default: the checkout hold
+// setting). The hold is written first and the slot re-read with it counted, so
+// two customers racing for the last capacity cannot both get it.
+const placeHold = async ({ customerId, date, timeSlot, requiredMinutes, minutes, bookingId, waitlistId, excludeWaitlistId }) => {
+  const slot = getTimeSlot(timeSlot);
+  if (!slot) {
+    throw new ErrorResponse('Invalid time slot', 400);
+  }
+
+  const holdMinutes = minutes ?? await SystemSettings.getValue('booking_hold_minutes', 15);
+  const hold = await SlotHold.create({
+    customerId,
+    bookingId,
+    waitlistId,
+    scheduledDate: startOfDay(date),
+    scheduledTimeSlot: slot.label,
+    requiredMinutes,
+    expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+  });
+
+  const [day] = await getAvailability(date, 1, { excludeWaitlistId });
+  const slotAvailability = day.slots.find(s => s.label === slot.label);
+
+  if (slotAvailability.bookedMinutes > slotAvailability.capacityMinutes) {
+    await SlotHold.deleteOne({ _id: hold._id });
+
+    const bookedMinutes = slotAvailability.bookedMinutes - requiredMinutes;
+    throw new ErrorResponse(`The ${slot.label} slot on ${day.date} is fully booked`, 409, {
+      slot: {
+        ...slotAvailability,
+        bookedMinutes,
+        remainingMinutes: Math.max(slotAvailability.capacityMinutes - bookedMinutes, 0),
+        isFull: true
+      }
+    });
+  }
+
+  return hold;
+};
+
+const attachHold = (hold, bookingId) => SlotHold.updateOne({ _id: hold._id }, { bookingId });
+
+const releaseHold = (holdId) => SlotHold.deleteOne({ _id: holdId });
+
+const releaseWaitlistHolds = (waitlistId) => SlotHold.deleteMany({ waitlistId });
+
+module.exports = {
+  placeHold,
+  attachHold,
+  releaseHold,
+  releaseWaitlistHolds
+};
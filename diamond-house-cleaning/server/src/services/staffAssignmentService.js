@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Staff = require('../models/Staff');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { getRequiredMinutes } = require('./availabilityService');
+const { transitionBooking } = require('./bookingStatusService');
+const { getTimeSlot, getSlotMinutes } = require('../utils/timeSlots');
+const { startOfDay, addDays } = require('../utils/dateUtils');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Staff skills that suit each Service.category
+const CATEGORY_SKILLS = {
+  residential: ['residential_cleaning'],
+  commercial: ['commercial_cleaning', 'floor_maintenance'],
+  deep_cleaning: ['deep_cleaning'],
+  move_in_out: ['residential_cleaning', 'deep_cleaning'],
+  post_construction: ['deep_cleaning', 'equipment_operation', 'floor_maintenance'],
+  office: ['commercial_cleaning'],
+  specialty: ['carpet_cleaning', 'window_cleaning', 'equipment_operation']
+};
+
+// Score weights: skill match dominates, then rating, then lighter workload
+const SCORE_WEIGHTS = { skills: 50, rating: 30, workload: 20 };
+
+// Workload above this many jobs in the surrounding week scores zero
+const WORKLOAD_CEILING = 10;
+
+const getUserId = (staff) => (staff.userId._id || staff.userId).toString();
+
+// Skills required by the categories of a booking's services
+const getRequiredSkills = async (booking) => {
+  const services = await Service.find({
+    _id: { $in: booking.services.map(service => service.serviceId) }
+  }).select('category');
+
+  return [...new Set(services.flatMap(service => CATEGORY_SKILLS[service.category] || []))];
+};
+
+// Active jobs per staff user id in the week around `date`
+const getWorkload = async (userIds, date) => {
+  const workload = await Booking.aggregate([
+    {
+      $match: {
+        scheduledDate: { $gte: addDays(startOfDay(date), -3), $lt: addDays(startOfDay(date), 4) },
+        status: { $in: CAPACITY_STATUSES },
+        'assignedStaff.staffId': { $in: userIds }
+      }
+    },
+    { $unwind: '$assignedStaff' },
+    { $match: { 'assignedStaff.staffId': { $in: userIds } } },
+    { $group: { _id: '$assignedStaff.staffId', jobs: { $sum: 1 } } }
+  ]);
+
+  return new Map(workload.map(entry => [entry._id.toString(), entry.jobs]));
+};
+
+// Rank candidates by skill match, rating and workload (highest first)
+const rankCandidates = (candidates, requiredSkills, workload) => {
+  return candidates
+    .map(staff => {
+      const matched = requiredSkills.filter(skill => staff.skills.includes(skill)).length;
+      const skillScore = requiredSkills.length ? matched / requiredSkills.length : 1;
+      const ratingScore = (staff.performance?.rating || 3) / 5;
+      const jobs = workload.get(getUserId(staff)) || 0;
+      const workloadScore = 1 - Math.min(jobs, WORKLOAD_CEILING) / WORKLOAD_CEILING;
+
+      return {
+        staff,
+        skillMatch: matched,
+        jobs,
+        score: Math.round((
+          skillScore * SCORE_WEIGHTS.skills +
+          ratingScore * SCORE_WEIGHTS.rating +
+          workloadScore * SCORE_WEIGHTS.workload
+        ) * 100) / 100
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Pick a lead and helpers for a confirmed booking and mark it assigned
+const autoAssignBooking = async (booking, actor) => {
+  if (booking.status !== 'confirmed') {
+    throw new ErrorResponse(`Only confirmed bookings can be auto-assigned (booking is '${booking.status}')`, 409);
+  }
+
+  const slot = getTimeSlot(booking.scheduledTimeSlot);
+  const maxTeamSize = await SystemSettings.getValue('max_team_size', 4);
+  const teamSize = Math.min(
+    Math.max(Math.ceil(getRequiredMinutes(booking.services) / getSlotMinutes(slot)), 1),
+    maxTeamSize
+  );
+
+  const [requiredSkills, candidates] = await Promise.all([
+    getRequiredSkills(booking),
+    Staff.getAvailableStaff(booking.scheduledDate, slot, [], { excludeBookingId: booking._id })
+  ]);
+
+  if (candidates.length < teamSize) {
+    throw new ErrorResponse(`Not enough available staff: ${teamSize} needed, ${candidates.length} free`, 409);
+  }
+
+  const workload = await getWorkload(candidates.map(staff => staff.userId._id || staff.userId), booking.scheduledDate);
+  const ranked = rankCandidates(candidates, requiredSkills, workload);
+
+  // Supervisors with a skill match lead when available, otherwise the top-ranked candidate
+  const lead = ranked.find(c => c.staff.position === 'supervisor' && (c.skillMatch > 0 || !requiredSkills.length)) || ranked[0];
+  const helpers = ranked.filter(c => c !== lead).slice(0, teamSize - 1);
+  const team = [lead, ...helpers];
+
+  booking.assignedStaff = team.map((candidate, index) => ({
+    staffId: candidate.staff.userId._id || candidate.staff.userId,
+    role: index === 0 ? 'lead' : 'helper',
+    assignedAt: new Date()
+  }));
+
+  transitionBooking(booking, 'assigned', { actor, reason: 'Auto-assigned' });
+  await booking.save();
+
+  try {
+    await Promise.all([
+      Notification.sendNotification(
+        booking.customerId,
+        'booking_assigned',
+        'Cleaning team assigned',
+        `A team of ${team.length} has been assigned to your booking ${booking.bookingNumber}.`,
+        { bookingId: booking._id, bookingNumber: booking.bookingNumber }
+      ),
+      ...booking.assignedStaff.map(assignment => Notification.sendNotification(
+        assignment.staffId,
+        'booking_assigned',
+        'New job assigned',
+        `You are the ${assignment.role} for booking ${booking.bookingNumber} on ${new Date(booking.scheduledDate).toDateString()}, ${booking.scheduledTimeSlot}.`,
+        { bookingId: booking._id, bookingNumber: booking.bookingNumber }
+      ))
+    ]);
+  } catch (error) {
+    logger.error(`Assignment notifications failed for booking ${booking.bookingNumber}:`, error);
+  }
+
+  return {
+    booking,
+    team: team.map((candidate, index) => ({
+      staffId: getUserId(candidate.staff),
+      role: index === 0 ? 'lead' : 'helper',
+      score: candidate.score,
+      skillMatch: candidate.skillMatch,
+      currentJobs: candidate.jobs
+    }))
+  };
+};
+
+// Auto-assign every unassigned confirmed booking on a day, earliest slot first
+const autoAssignDay = async (date, actor) => {
+  const dayStart = startOfDay(date);
+  const bookings = await Booking.find({
+    scheduledDate: { $gte: dayStart, $lt: addDays(dayStart, 1) },
+    status: 'confirmed'
+  }).sort({ scheduledDate: 1, createdAt: 1 });
+
+  const results = [];
+  for (const booking of bookings) {
+    try {
+      const { team } = await autoAssignBooking(booking, actor);
+      results.push({ bookingId: booking._id, bookingNumber: booking.bookingNumber, assigned: true, team });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      results.push({ bookingId: booking._id, bookingNumber: booking.bookingNumber, assigned: false, reason: error.message });
+    }
+  }
+
+  return {
+    total: results.length,
+    assigned: results.filter(result => result.assigned).length,
+    results
+  };
+};
+
+// Normalise a hand-picked team: ids or { staffId, role }, the first member
+// leading unless roles are given
+const toTeam = (members) => members.map((member, index) => {
+  const staffId = String(member?.staffId || member);
+  return { staffId, role: member?.role || (index === 0 ? 'lead' : 'helper') };
+});
+
+// Check a hand-picked team for a date and slot. Throws 400 for a malformed team
+// and 409 listing each member who is inactive, off roster or already on
+// another job in the slot.
+const validateTeam = async (booking, members, date, slot) => {
+  const team = toTeam(members);
+  const maxTeamSize = await SystemSettings.getValue('max_team_size', 4);
+
+  if (team.some(member => !mongoose.isValidObjectId(member.staffId))) {
+    throw new ErrorResponse('Valid staff IDs are required', 400);
+  }
+  if (new Set(team.map(member => member.staffId)).size !== team.length) {
+    throw new ErrorResponse('A staff member can only be assigned once', 400);
+  }
+  if (team.length > maxTeamSize) {
+    throw new ErrorResponse(`A team can have at most ${maxTeamSize} members`, 400);
+  }
+  if (team.length && team.filter(member => member.role === 'lead').length !== 1) {
+    throw new ErrorResponse('A team needs exactly one lead', 400);
+  }
+
+  const [staffMembers, bookedSlots] = await Promise.all([
+    Staff.find({ userId: { $in: team.map(member => member.staffId) }, 'employment.status': 'active' }),
+    Staff.getBookedSlots(date, { excludeBookingId: booking._id })
+  ]);
+
+  const conflicts = [];
+  for (const member of team) {
+    const staff = staffMembers.find(s => getUserId(s) === member.staffId);
+
+    if (!staff) {
+      conflicts.push({ staffId: member.staffId, reason: 'Not an active staff member' });
+    } else if (!staff.isScheduledFor(date, slot)) {
+      conflicts.push({ staffId: member.staffId, reason: `Not rostered for the ${slot.label} slot` });
+    } else if (bookedSlots.get(member.staffId)?.has(slot.label)) {
+      conflicts.push({ staffId: member.staffId, reason: 'Already assigned to another booking in this slot' });
+    }
+  }
+
+  if (conflicts.length) {
+    throw new ErrorResponse('Some staff members cannot take this booking', 409, { conflicts });
+  }
+
+  return team;
+};
+
+// Put a validated team on the booking (caller saves). An empty team returns
+// an assigned booking to confirmed. Returns the staff added and removed.
+const applyTeam = (booking, team, actor) => {
+  const previous = new Map(booking.assignedStaff.map(assignment => [assignment.staffId.toString(), assignment]));
+
+  booking.assignedStaff = team.map(member => ({
+    staffId: member.staffId,
+    role: member.role,
+    assignedAt: previous.get(member.staffId)?.assignedAt || new Date()
+  }));
+
+  if (booking.status === 'confirmed' && team.length) {
+    transitionBooking(booking, 'assigned', { actor, reason: 'Assigned by hand' });
+  } else if (booking.status === 'assigned' && !team.length) {
+    transitionBooking(booking, 'confirmed', { actor, reason: 'All staff unassigned' });
+  }
+
+  return {
+    added: team.filter(member => !previous.has(member.staffId)).map(member => member.staffId),
+    removed: [...previous.keys()].filter(staffId => !team.some(member => member.staffId === staffId))
+  };
+};
+
+// Replace a booking's team by hand (e.g. from the booking update endpoint)
+const assignTeam = async (booking, members, actor) => {
+  if (!['confirmed', 'assigned'].includes(booking.status)) {
+    throw new ErrorResponse(`Staff can only be assigned to confirmed bookings (booking is '${booking.status}')`, 409);
+  }
+
+  const team = await validateTeam(booking, members, booking.scheduledDate, getTimeSlot(booking.scheduledTimeSlot));
+  const changes = applyTeam(booking, team, actor);
+
+  await booking.save();
+
+  const data = { bookingId: booking._id, bookingNumber: booking.bookingNumber };
+  try {
+    await Promise.all([
+      ...booking.assignedStaff
+        .filter(assignment => changes.added.includes(assignment.staffId.toString()))
+        .map(assignment => Notification.sendNotification(
+          assignment.staffId,
+          'booking_assigned',
+          'New job assigned',
+          `You are the ${assignment.role} for booking ${booking.bookingNumber} on ${new Date(booking.scheduledDate).toDateString()}, ${booking.scheduledTimeSlot}.`,
+          data
+        )),
+      ...changes.removed.map(staffId => Notification.sendNotification(
+        staffId,
+        'booking_assigned',
+        'Job unassigned',
+        `You are no longer assigned to booking ${booking.bookingNumber}.`,
+        data
+      ))
+    ]);
+  } catch (error) {
+    logger.error(`Assignment notifications failed for booking ${booking.bookingNumber}:`, error);
+  }
+
+  return { booking, staffChanges: changes };
+};
+
+module.exports = {
+  CATEGORY_SKILLS,
+  getRequiredSkills,
+  rankCandidates,
+  autoAssignBooking,
+  autoAssignDay,
+  validateTeam,
+  applyTeam,
+  assignTeam
+};
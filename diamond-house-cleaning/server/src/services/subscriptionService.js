@@ -0,0 +1,331 @@
+const Booking = require('../models/Booking');
+const Subscription = require('../models/Subscription');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { buildBookingServices, calculateTotals } = require('./pricingService');
+const { checkSlotCapacity, getRequiredMinutes } = require('./availabilityService');
+const { getTransitionError, transitionBooking, createdStatusEntry } = require('./bookingStatusService');
+const { offerFreedCapacitySafely } = require('./waitlistService');
+const { getCoverage } = require('./serviceAreaService');
+const { customerRequiresPrepayment } = require('./noShowService');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { CAPACITY_STATUSES } = require('../utils/bookingStatuses');
+const { startOfDay, addDays, getDayName, toDateKey } = require('../utils/dateUtils');
+const { logger } = require('../middleware/loggerMiddleware');
+
+// Generated bookings that can still be withdrawn when an occurrence is skipped or paused
+const WITHDRAWABLE_STATUSES = ['pending', 'confirmed'];
+
+// Subscription discount percentage for a frequency, from SystemSettings
+const getSubscriptionDiscount = (frequency) => {
+  return SystemSettings.getValue(`subscription_discount_${frequency}`, 0);
+};
+
+// Days (midnight) on which the subscription recurs within [from, to]
+const getOccurrenceDates = (subscription, from, to) => {
+  const dates = [];
+  const start = startOfDay(subscription.startDate);
+  const end = subscription.endDate && subscription.endDate < to ? startOfDay(subscription.endDate) : to;
+
+  if (subscription.frequency === 'weekly' || subscription.frequency === 'bi_weekly') {
+    const step = subscription.frequency === 'weekly' ? 7 : 14;
+    for (let date = start; date <= end; date = addDays(date, step)) {
+      if (date >= from) dates.push(date);
+    }
+  } else if (subscription.frequency === 'monthly') {
+    const dayOfMonth = start.getDate();
+    for (let month = 0; ; month++) {
+      const lastDay = new Date(start.getFullYear(), start.getMonth() + month + 1, 0).getDate();
+      const date = new Date(start.getFullYear(), start.getMonth() + month, Math.min(dayOfMonth, lastDay));
+      if (date > end) break;
+      if (date >= from) dates.push(date);
+    }
+  } else if (subscription.frequency === 'custom') {
+    for (let date = from > start ? from : start; date <= end; date = addDays(date, 1)) {
+      if (subscription.daysOfWeek.includes(getDayName(date))) dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Cancel generated bookings of a subscription that match `filter` without
+// offering their capacity to the waitlist yet. Bookings the actor may no longer
+// cancel (e.g. inside the cancellation window) are kept.
+const cancelGeneratedBookings = async (subscription, filter, reason, actor) => {
+  const bookings = await Booking.find({
+    subscription: subscription._id,
+    status: { $in: WITHDRAWABLE_STATUSES },
+    ...filter
+  });
+
+  const cancelled = [];
+  for (const booking of bookings) {
+    if (getTransitionError(booking, 'cancelled', actor)) continue;
+
+    transitionBooking(booking, 'cancelled', { actor, reason });
+    booking.cancellation = {
+      isCancelled: true,
+      cancelledBy: actor._id,
+      cancelledAt: new Date(),
+      cancellationReason: reason
+    };
+    await booking.save();
+    cancelled.push(booking);
+  }
+
+  return cancelled;
+};
+
+const offerWithdrawnCapacity = async (bookings) => {
+  for (const booking of bookings) {
+    await offerFreedCapacitySafely(booking.scheduledDate, booking.scheduledTimeSlot);
+  }
+};
+
+// Cancel generated bookings that match `filter` and offer their capacity to the waitlist
+const withdrawBookings = async (subscription, filter, reason, actor) => {
+  const withdrawn = await cancelGeneratedBookings(subscription, filter, reason, actor);
+  await offerWithdrawnCapacity(withdrawn);
+
+  return withdrawn.length;
+};
+
+// Create bookings for every occurrence up to the rolling horizon that has no
+// active booking yet, so occurrences withdrawn by a pause are generated again
+// on resume. Bookings listed in `replacing` have just been withdrawn and do not count.
+const generateBookings = async (subscription, { replacing = [] } = {}) => {
+  const result = { created: [], skipped: [] };
+
+  if (subscription.status === 'paused' && subscription.pause?.pausedUntil && subscription.pause.pausedUntil <= new Date()) {
+    subscription.status = 'active';
+    subscription.pause = undefined;
+  }
+
+  if (subscription.status === 'cancelled') {
+    return result;
+  }
+
+  const timeSlot = getTimeSlot(subscription.scheduledTimeSlot);
+  const horizonDays = await SystemSettings.getValue('subscription_horizon_days', 28);
+  const from = addDays(startOfDay(new Date()), 1);
+  const to = addDays(startOfDay(new Date()), horizonDays);
+
+  const existing = await Booking.find({
+    subscription: subscription._id,
+    scheduledDate: { $gte: from },
+    status: { $in: CAPACITY_STATUSES },
+    _id: { $nin: replacing.map(booking => booking._id) }
+  }).select('scheduledDate');
+  const existingDays = new Set(existing.map(booking => toDateKey(booking.scheduledDate)));
+
+  const { services, subtotal } = await buildBookingServices(subscription.services);
+  const coverage = await getCoverage({
+    pincode: subscription.serviceAddress.zipCode,
+    coordinates: subscription.serviceAddress.coordinates
+  }, services);
+  const pricing = await calculateTotals(services, {
+    discount: subtotal * subscription.pricing.discountPercent / 100,
+    state: subscription.serviceAddress.state,
+    travelSurcharge: coverage.travelSurcharge
+  });
+  const prepaymentRequired = await customerRequiresPrepayment(subscription.customerId);
+  const slotStart = toMinutes(timeSlot.startTime);
+
+  for (const date of getOccurrenceDates(subscription, from, to)) {
+    const dateKey = toDateKey(date);
+    if (existingDays.has(dateKey) || subscription.isSkipped(date) || subscription.isPausedOn(date)) {
+      continue;
+    }
+
+    // The address may have dropped out of the service areas since the subscription was set up
+    if (!coverage.covered) {
+      result.skipped.push({ date: dateKey, reason: coverage.reason });
+      continue;
+    }
+
+    const capacity = await checkSlotCapacity(date, timeSlot, getRequiredMinutes(services));
+    if (!capacity.available) {
+      result.skipped.push({ date: dateKey, reason: capacity.reason });
+      continue;
+    }
+
+    const scheduledDate = new Date(date);
+    scheduledDate.setHours(Math.floor(slotStart / 60), slotStart % 60);
+
+    const booking = await Booking.create({
+      customerId: subscription.customerId,
+      services,
+      serviceAddress: subscription.serviceAddress,
+      serviceArea: coverage.area?._id,
+      scheduledDate,
+      scheduledTimeSlot: timeSlot.label,
+      pricing,
+      specialInstructions: subscription.specialInstructions,
+      subscription: subscription._id,
+      prepaymentRequired,
+      statusHistory: [createdStatusEntry(undefined, 'Generated from subscription')]
+    });
+
+    result.created.push(booking);
+  }
+
+  subscription.lastGeneratedAt = new Date();
+  await subscription.save();
+
+  if (result.created.length || result.skipped.length) {
+    logger.info(`Subscription ${subscription._id}: ${result.created.length} bookings generated, ${result.skipped.length} occurrences skipped`);
+  }
+
+  return result;
+};
+
+// Roll the horizon forward for every live subscription
+const generateAllBookings = async () => {
+  const subscriptions = await Subscription.find({ status: { $in: ['active', 'paused'] } });
+  const summary = { subscriptions: subscriptions.length, created: 0, skipped: 0, failed: 0 };
+
+  for (const subscription of subscriptions) {
+    try {
+      const result = await generateBookings(subscription);
+      summary.created += result.created.length;
+      summary.skipped += result.skipped.length;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Subscription ${subscription._id} generation error:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// After the slot, address, days, services or end date change, replace the
+// upcoming bookings that can still be withdrawn with ones generated from the
+// new details. Bookings that can no longer be cancelled keep the old details.
+// The freed capacity only goes to the waitlist once the new bookings are in.
+const regenerateUpcomingBookings = async (subscription, actor) => {
+  if (subscription.status === 'cancelled') {
+    return { withdrawn: 0, created: [], skipped: [] };
+  }
+
+  const withdrawn = await cancelGeneratedBookings(
+    subscription,
+    { scheduledDate: { $gte: addDays(startOfDay(new Date()), 1) } },
+    'Subscription updated',
+    actor
+  );
+  const { created, skipped } = await generateBookings(subscription, { replacing: withdrawn });
+  await offerWithdrawnCapacity(withdrawn);
+
+  return { withdrawn: withdrawn.length, created, skipped };
+};
+
+// Skip one occurrence and withdraw its booking if one was already generated
+const skipOccurrence = async (subscription, date, actor) => {
+  if (subscription.status === 'cancelled') {
+    throw new ErrorResponse('Subscription is cancelled', 400);
+  }
+
+  const day = startOfDay(date);
+  if (day < startOfDay(new Date())) {
+    throw new ErrorResponse('Cannot skip a past occurrence', 400);
+  }
+
+  const isOccurrence = getOccurrenceDates(subscription, day, day).length > 0;
+  if (!isOccurrence) {
+    throw new ErrorResponse(`No occurrence scheduled on ${toDateKey(day)}`, 400);
+  }
+
+  if (!subscription.isSkipped(day)) {
+    subscription.skippedDates.push(day);
+    await subscription.save();
+  }
+
+  const withdrawn = await withdrawBookings(
+    subscription,
+    { scheduledDate: { $gte: day, $lt: addDays(day, 1) } },
+    'Occurrence skipped',
+    actor
+  );
+
+  return { date: toDateKey(day), withdrawn };
+};
+
+// A generated booking cancelled on its own, rather than through the
+// subscription, skips its occurrence so it is not generated again
+const skipCancelledOccurrence = async (booking) => {
+  if (!booking.subscription) return;
+
+  await Subscription.updateOne(
+    { _id: booking.subscription },
+    { $addToSet: { skippedDates: startOfDay(booking.scheduledDate) } }
+  );
+};
+
+// Pause until a date (or indefinitely) and withdraw bookings in that window
+const pauseSubscription = async (subscription, { until, reason }, actor) => {
+  if (subscription.status === 'cancelled') {
+    throw new ErrorResponse('Subscription is cancelled', 400);
+  }
+
+  const pausedUntil = until ? startOfDay(until) : undefined;
+  if (pausedUntil && pausedUntil <= new Date()) {
+    throw new ErrorResponse('Pause end date must be in the future', 400);
+  }
+
+  subscription.status = 'paused';
+  subscription.pause = { pausedAt: new Date(), pausedUntil, reason };
+  await subscription.save();
+
+  const window = pausedUntil ? { $gte: new Date(), $lt: pausedUntil } : { $gte: new Date() };
+  const withdrawn = await withdrawBookings(subscription, { scheduledDate: window }, 'Subscription paused', actor);
+
+  return { withdrawn };
+};
+
+const resumeSubscription = async (subscription) => {
+  if (subscription.status !== 'paused') {
+    throw new ErrorResponse('Subscription is not paused', 400);
+  }
+
+  subscription.status = 'active';
+  subscription.pause = undefined;
+
+  return generateBookings(subscription);
+};
+
+const cancelSubscription = async (subscription, reason, actor) => {
+  if (subscription.status === 'cancelled') {
+    throw new ErrorResponse('Subscription is already cancelled', 400);
+  }
+
+  subscription.status = 'cancelled';
+  subscription.cancellation = {
+    cancelledBy: actor._id,
+    cancelledAt: new Date(),
+    reason
+  };
+  await subscription.save();
+
+  const withdrawn = await withdrawBookings(
+    subscription,
+    { scheduledDate: { $gte: new Date() } },
+    'Subscription cancelled',
+    actor
+  );
+
+  return { withdrawn };
+};
+
+module.exports = {
+  getSubscriptionDiscount,
+  getOccurrenceDates,
+  generateBookings,
+  generateAllBookings,
+  regenerateUpcomingBookings,
+  skipOccurrence,
+  skipCancelledOccurrence,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+};
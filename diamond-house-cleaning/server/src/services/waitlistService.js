@@ -0,0 +1,249 @@
+const Booking = require('../models/Booking');
+const Waitlist = require('../models/Waitlist');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('../utils/errorResponse');
+const { buildBookingServices } = require('./pricingService');
+const { quoteBooking } = require('./quoteService');
+const { assertCoverage } = require('./serviceAreaService');
+const { checkSlotCapacity, getRequiredMinutes } = require('./availabilityService');
+const { placeHold, attachHold, releaseHold, releaseWaitlistHolds } = require('./slotHoldService');
+const { customerRequiresPrepayment } = require('./noShowService');
+const { createdStatusEntry } = require('./bookingStatusService');
+const { getTimeSlot, toMinutes } = require('../utils/timeSlots');
+const { startOfDay } = require('../utils/dateUtils');
+const { logger } = require('../middleware/loggerMiddleware');
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Customers ahead of this entry in the queue for its slot
+const getPosition = async (entry) => {
+  if (entry.status !== 'waiting') return 0;
+
+  const ahead = await Waitlist.countDocuments({
+    scheduledDate: entry.scheduledDate,
+    scheduledTimeSlot: entry.scheduledTimeSlot,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+// Queue a customer for a full slot. Slots with room must be booked directly.
+const joinWaitlist = async (customerId, { services, serviceAddress, propertyDetails, specialInstructions, scheduledDate, timeSlot }) => {
+  const day = startOfDay(scheduledDate);
+  if (day < startOfDay(new Date())) {
+    throw new ErrorResponse('Cannot join the waitlist for a past date', 400);
+  }
+
+  const { services: lines } = await buildBookingServices(services, propertyDetails);
+  await assertCoverage(serviceAddress, lines);
+  const requiredMinutes = getRequiredMinutes(lines);
+
+  const capacity = await checkSlotCapacity(day, timeSlot, requiredMinutes);
+  if (capacity.available) {
+    throw new ErrorResponse('This slot still has availability; book it directly', 409, { slot: capacity.slot });
+  }
+
+  const existing = await Waitlist.findOne({
+    customerId,
+    scheduledDate: day,
+    scheduledTimeSlot: timeSlot.label,
+    status: { $in: OPEN_STATUSES }
+  });
+  if (existing) {
+    throw new ErrorResponse('You are already on the waitlist for this slot', 409);
+  }
+
+  return Waitlist.create({
+    customerId,
+    services: lines.map(line => ({
+      serviceId: line.serviceId,
+      quantity: line.quantity,
+      addOns: line.addOns.map(({ addOnId, name, quantity }) => ({ addOnId, name, quantity }))
+    })),
+    serviceAddress,
+    propertyDetails,
+    specialInstructions,
+    scheduledDate: day,
+    scheduledTimeSlot: timeSlot.label,
+    requiredMinutes
+  });
+};
+
+// Offer freed capacity in a slot to waiting customers, oldest first. Entries
+// whose job does not fit are passed over so a smaller job behind them can go.
+const offerFreedCapacity = async (date, timeSlot) => {
+  const day = startOfDay(date);
+  const slot = getTimeSlot(timeSlot);
+  if (!slot || day < startOfDay(new Date())) return [];
+
+  const offerMinutes = await SystemSettings.getValue('waitlist_offer_minutes', 60);
+  const waiting = await Waitlist.find({
+    scheduledDate: day,
+    scheduledTimeSlot: slot.label,
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+
+  const offered = [];
+  for (const entry of waiting) {
+    let hold;
+    try {
+      hold = await placeHold({
+        customerId: entry.customerId,
+        date: day,
+        timeSlot: slot,
+        requiredMinutes: entry.requiredMinutes,
+        minutes: offerMinutes,
+        waitlistId: entry._id
+      });
+    } catch (error) {
+      if (error.statusCode === 409) continue;
+      throw error;
+    }
+
+    entry.status = 'offered';
+    entry.offer = { offeredAt: hold.createdAt, expiresAt: hold.expiresAt };
+    await entry.save();
+    offered.push(entry);
+
+    try {
+      await Notification.sendNotification(
+        entry.customerId,
+        'waitlist_offer',
+        'A slot has opened up',
+        `${slot.label} on ${day.toDateString()} is now available. Confirm within ${offerMinutes} minutes to book it.`,
+        { waitlistId: entry._id, expiresAt: entry.offer.expiresAt }
+      );
+    } catch (error) {
+      logger.error(`Waitlist offer notification failed for entry ${entry._id}:`, error);
+    }
+  }
+
+  return offered;
+};
+
+// Run offerFreedCapacity without letting a waitlist failure break the caller
+const offerFreedCapacitySafely = async (date, timeSlot) => {
+  try {
+    return await offerFreedCapacity(date, timeSlot);
+  } catch (error) {
+    logger.error('Waitlist offer error:', error);
+    return [];
+  }
+};
+
+// Expire lapsed offers and pass their capacity to the next customers in line
+const expireOffers = async () => {
+  const lapsed = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: new Date() } });
+
+  const slots = new Map();
+  for (const entry of lapsed) {
+    entry.status = 'expired';
+    await entry.save();
+    await releaseWaitlistHolds(entry._id);
+    slots.set(`${entry.scheduledDate.getTime()}|${entry.scheduledTimeSlot}`, entry);
+  }
+
+  let offered = 0;
+  for (const entry of slots.values()) {
+    offered += (await offerFreedCapacity(entry.scheduledDate, entry.scheduledTimeSlot)).length;
+  }
+
+  return { expired: lapsed.length, offered };
+};
+
+// Turn an open offer into a booking at the current catalogue price
+const confirmOffer = async (entry, actor) => {
+  if (entry.status !== 'offered') {
+    throw new ErrorResponse('There is no open offer for this waitlist entry', 409);
+  }
+
+  if (!entry.hasActiveOffer) {
+    entry.status = 'expired';
+    await entry.save();
+    await releaseWaitlistHolds(entry._id);
+    await offerFreedCapacitySafely(entry.scheduledDate, entry.scheduledTimeSlot);
+    throw new ErrorResponse('This offer has expired', 409);
+  }
+
+  const slot = getTimeSlot(entry.scheduledTimeSlot);
+  const { services, pricing, serviceArea } = await quoteBooking(entry.services, {
+    propertyDetails: entry.propertyDetails,
+    serviceAddress: entry.serviceAddress,
+    scheduledDate: entry.scheduledDate,
+    timeSlot: slot
+  });
+
+  // Swap the offer hold for a checkout hold; the offer is what makes room for it
+  const hold = await placeHold({
+    customerId: entry.customerId,
+    date: entry.scheduledDate,
+    timeSlot: slot,
+    requiredMinutes: getRequiredMinutes(services),
+    excludeWaitlistId: entry._id
+  });
+
+  const slotStart = toMinutes(slot.startTime);
+  const scheduledDate = new Date(entry.scheduledDate);
+  scheduledDate.setHours(Math.floor(slotStart / 60), slotStart % 60);
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      customerId: entry.customerId,
+      services,
+      serviceAddress: entry.serviceAddress,
+      serviceArea: serviceArea?._id,
+      propertyDetails: entry.propertyDetails,
+      scheduledDate,
+      scheduledTimeSlot: slot.label,
+      pricing,
+      specialInstructions: entry.specialInstructions,
+      prepaymentRequired: await customerRequiresPrepayment(entry.customerId),
+      hold: { holdId: hold._id, expiresAt: hold.expiresAt },
+      statusHistory: [createdStatusEntry(actor, 'Booked from waitlist')]
+    });
+  } catch (error) {
+    await releaseHold(hold._id);
+    throw error;
+  }
+
+  await attachHold(hold, booking._id);
+  await releaseWaitlistHolds(entry._id);
+
+  entry.status = 'booked';
+  entry.bookingId = booking._id;
+  await entry.save();
+
+  return booking;
+};
+
+// Leave the queue; an open offer's capacity goes to the next customer
+const leaveWaitlist = async (entry) => {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new ErrorResponse(`Waitlist entry is already ${entry.status}`, 409);
+  }
+
+  const hadOffer = entry.status === 'offered';
+  entry.status = 'cancelled';
+  await entry.save();
+
+  if (hadOffer) {
+    await releaseWaitlistHolds(entry._id);
+    await offerFreedCapacitySafely(entry.scheduledDate, entry.scheduledTimeSlot);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  getPosition,
+  joinWaitlist,
+  offerFreedCapacity,
+  offerFreedCapacitySafely,
+  expireOffers,
+  confirmOffer,
+  leaveWaitlist
+};
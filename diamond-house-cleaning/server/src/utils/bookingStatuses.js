@@ -0,0 +1,6 @@
+// Booking statuses that occupy slot capacity and the assigned staff's time
+const CAPACITY_STATUSES = ['pending', 'confirmed', 'assigned', 'in_progress'];
+
+module.exports = {
+  CAPACITY_STATUSES
+};
@@ -0,0 +1,86 @@
+const ErrorResponse = require('./errorResponse');
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, doubled quotes and line breaks)
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ErrorResponse('CSV has an unterminated quoted field', 400);
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+// Parse CSV text with a header row into one object per line, keyed by header
+const parseCsv = (text) => {
+  const [headers, ...rows] = parseRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (!headers) {
+    throw new ErrorResponse('CSV is empty', 400);
+  }
+
+  const keys = headers.map(header => header.trim());
+
+  return rows.map(fields => keys.reduce((record, key, index) => {
+    if (key) record[key] = (fields[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+// Quote a value for CSV output. Values that a spreadsheet would run as a
+// formula are prefixed with an apostrophe.
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, terminated with CRLF
+const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
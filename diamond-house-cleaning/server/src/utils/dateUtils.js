@@ -0,0 +1,43 @@
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Midnight (server time) of the given date
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Lower-case weekday name matching Staff.availability.schedule[].day
+const getDayName = (date) => DAY_NAMES[new Date(date).getDay()];
+
+// YYYY-MM-DD in server time
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Parse a YYYY-MM-DD (or ISO) string as a local calendar day
+const parseDateKey = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : startOfDay(d);
+};
+
+module.exports = {
+  DAY_NAMES,
+  startOfDay,
+  addDays,
+  getDayName,
+  toDateKey,
+  parseDateKey
+};
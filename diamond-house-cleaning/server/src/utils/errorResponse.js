@@ -0,0 +1,12 @@
+// Error carrying an HTTP status code, thrown from services and mapped to a
+// response by the controllers (or by errorMiddleware)
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, data) {
+    super(message);
+    this.name = 'ErrorResponse';
+    this.statusCode = statusCode;
+    this.data = data;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,47 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Whether a value looks like { latitude, longitude } within valid ranges
+const isValidCoordinates = (coordinates) => {
+  if (!coordinates) return false;
+  const latitude = Number(coordinates.latitude);
+  const longitude = Number(coordinates.longitude);
+
+  return coordinates.latitude !== null && coordinates.longitude !== null &&
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
+
+// Great-circle (haversine) distance in metres between two { latitude, longitude } points
+const distanceInMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Whether a { latitude, longitude } point lies inside a polygon given as a list
+// of such points (ray casting; fine for city-sized zones)
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+module.exports = {
+  isValidCoordinates,
+  distanceInMeters,
+  isPointInPolygon
+};
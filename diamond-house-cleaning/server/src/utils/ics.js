@@ -0,0 +1,70 @@
+// Minimal iCalendar (RFC 5545) writer for booking feeds
+
+const PRODUCT_ID = '-//Diamond House Cleaning//Bookings//EN';
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20250314T033000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF followed by a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Build one VEVENT from { uid, sequence, stamp, start, end, summary, location, description, status }
+const buildEvent = (event) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+  `DTSTART:${formatDateTime(event.start)}`,
+  `DTEND:${formatDateTime(event.end)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  event.location ? `LOCATION:${escapeText(event.location)}` : null,
+  event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  'END:VEVENT'
+].filter(Boolean);
+
+// Wrap events in a VCALENDAR and serialise with CRLF line endings
+const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar
+};
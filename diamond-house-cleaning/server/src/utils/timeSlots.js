@@ -0,0 +1,39 @@
+// Bookable time slots. `label` is the value stored on Booking.scheduledTimeSlot.
+const TIME_SLOTS = [
+  { label: '9:00 AM - 11:00 AM', startTime: '09:00', endTime: '11:00' },
+  { label: '11:00 AM - 1:00 PM', startTime: '11:00', endTime: '13:00' },
+  { label: '2:00 PM - 4:00 PM', startTime: '14:00', endTime: '16:00' },
+  { label: '4:00 PM - 6:00 PM', startTime: '16:00', endTime: '18:00' }
+];
+
+// Convert an HH:MM string into minutes since midnight
+const toMinutes = (time) => {
+  if (typeof time !== 'string' || !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+    return null;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Length of a slot in minutes
+const getSlotMinutes = (slot) => toMinutes(slot.endTime) - toMinutes(slot.startTime);
+
+// Resolve a slot from its label or from a { startTime, endTime } object
+const getTimeSlot = (value) => {
+  if (!value) return null;
+
+  if (typeof value === 'string') {
+    return TIME_SLOTS.find(slot => slot.label === value) || null;
+  }
+
+  const start = toMinutes(value.startTime);
+  const end = toMinutes(value.endTime);
+  return TIME_SLOTS.find(slot => toMinutes(slot.startTime) === start && toMinutes(slot.endTime) === end) || null;
+};
+
+module.exports = {
+  TIME_SLOTS,
+  toMinutes,
+  getSlotMinutes,
+  getTimeSlot
+};
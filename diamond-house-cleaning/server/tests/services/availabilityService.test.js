@@ -0,0 +1,171 @@
+const Booking = require('../../src/models/Booking');
+const Staff = require('../../src/models/Staff');
+const SlotHold = require('../../src/models/SlotHold');
+const {
+  getBookingMinutes,
+  getRequiredMinutes,
+  getAvailability,
+  checkSlotCapacity
+} = require('../../src/services/availabilityService');
+
+// Monday 7 January 2030, local time
+const monday = new Date(2030, 0, 7);
+const morning = '9:00 AM - 11:00 AM';
+const afternoon = '2:00 PM - 4:00 PM';
+
+const staffMember = (schedule, timeOff = []) => new Staff({ availability: { schedule, timeOff } });
+const weekdayStaff = () => staffMember([{ day: 'monday', startTime: '09:00', endTime: '18:00' }]);
+
+const booking = (timeSlot, services, date = monday) => ({ scheduledDate: date, scheduledTimeSlot: timeSlot, services });
+
+// Model.find(...).select(...) resolving to `docs`
+const query = (docs) => ({ select: jest.fn().mockResolvedValue(docs) });
+
+const mockData = ({ staff = [], bookings = [], holds = [] }) => {
+  jest.spyOn(Staff, 'find').mockReturnValue(query(staff));
+  jest.spyOn(Booking, 'find').mockReturnValue(query(bookings));
+  jest.spyOn(SlotHold, 'find').mockReturnValue(query(holds));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getBookingMinutes', () => {
+  it('adds service and add-on durations per unit', () => {
+    expect(getBookingMinutes({
+      services: [
+        { quantity: 2, duration: 90, addOns: [{ duration: 15, quantity: 2 }] },
+        { quantity: 1, duration: 30, addOns: [] }
+      ]
+    })).toBe(2 * (90 + 30) + 30);
+  });
+
+  it('defaults to an hour for services stored without a duration', () => {
+    expect(getRequiredMinutes([{ quantity: 1 }, { quantity: 2, addOns: [{ duration: 10 }] }])).toBe(60 + 2 * 70);
+  });
+});
+
+describe('getAvailability', () => {
+  it('gives every slot the working minutes of the staff rostered for it', async () => {
+    mockData({
+      staff: [
+        weekdayStaff(),
+        weekdayStaff(),
+        staffMember([{ day: 'monday', startTime: '09:00', endTime: '13:00' }]),
+        staffMember([{ day: 'tuesday', startTime: '09:00', endTime: '18:00' }])
+      ]
+    });
+
+    const [day] = await getAvailability(monday, 1);
+
+    expect(day.date).toBe('2030-01-07');
+    expect(day.slots.map(slot => [slot.label, slot.availableStaff, slot.capacityMinutes])).toEqual([
+      [morning, 3, 360],
+      ['11:00 AM - 1:00 PM', 3, 360],
+      [afternoon, 2, 240],
+      ['4:00 PM - 6:00 PM', 2, 240]
+    ]);
+  });
+
+  it('leaves out staff on approved time off', async () => {
+    mockData({
+      staff: [
+        weekdayStaff(),
+        staffMember([{ day: 'monday', startTime: '09:00', endTime: '18:00' }], [
+          { startDate: monday, endDate: monday, approved: true }
+        ]),
+        staffMember([{ day: 'monday', startTime: '09:00', endTime: '18:00' }], [
+          { startDate: monday, endDate: monday, approved: false }
+        ])
+      ]
+    });
+
+    const [day] = await getAvailability(monday, 1);
+
+    expect(day.slots[0].availableStaff).toBe(2);
+  });
+
+  it('takes booked work and live holds off the capacity', async () => {
+    mockData({
+      staff: [weekdayStaff()],
+      bookings: [booking(morning, [{ quantity: 1, duration: 90 }])],
+      holds: [{ scheduledDate: monday, scheduledTimeSlot: morning, requiredMinutes: 30 }]
+    });
+
+    const [day] = await getAvailability(monday, 1);
+
+    expect(day.slots[0]).toMatchObject({ capacityMinutes: 120, bookedMinutes: 120, remainingMinutes: 0, isFull: true });
+    expect(day.slots[2]).toMatchObject({ bookedMinutes: 0, remainingMinutes: 120, isFull: false });
+  });
+
+  it('only counts active bookings, and unpaid checkouts through their hold', async () => {
+    mockData({ staff: [weekdayStaff()] });
+
+    await getAvailability(monday, 1);
+    const filter = Booking.find.mock.calls[0][0];
+    const holdFilter = SlotHold.find.mock.calls[0][0];
+
+    expect(filter.status).toEqual({ $in: ['pending', 'confirmed', 'assigned', 'in_progress'] });
+    expect(filter.$nor).toEqual([{ status: 'pending', 'hold.expiresAt': { $exists: true } }]);
+    expect(holdFilter.expiresAt.$gt).toBeInstanceOf(Date);
+  });
+
+  it('can leave out a booking and a waitlist entry being moved', async () => {
+    mockData({ staff: [weekdayStaff()] });
+
+    await getAvailability(monday, 1, { excludeBookingId: 'booking-1', excludeWaitlistId: 'waitlist-1' });
+
+    expect(Booking.find.mock.calls[0][0]._id).toEqual({ $ne: 'booking-1' });
+    expect(SlotHold.find.mock.calls[0][0]).toMatchObject({
+      bookingId: { $ne: 'booking-1' },
+      waitlistId: { $ne: 'waitlist-1' }
+    });
+  });
+
+  it('spans the requested days up to the maximum range', async () => {
+    mockData({ staff: [weekdayStaff()] });
+
+    const week = await getAvailability(new Date(2030, 0, 7, 15), 7);
+    expect(week.map(day => day.date)).toEqual([
+      '2030-01-07', '2030-01-08', '2030-01-09', '2030-01-10', '2030-01-11', '2030-01-12', '2030-01-13'
+    ]);
+    expect(week[1].slots[0].capacityMinutes).toBe(0);
+
+    expect(await getAvailability(monday, 90)).toHaveLength(31);
+    expect(await getAvailability(monday, 0)).toHaveLength(1);
+  });
+});
+
+describe('checkSlotCapacity', () => {
+  beforeEach(() => {
+    mockData({
+      staff: [weekdayStaff()],
+      bookings: [booking(morning, [{ quantity: 1, duration: 60 }])]
+    });
+  });
+
+  it('accepts work that fits in what is left of the slot', async () => {
+    const result = await checkSlotCapacity(monday, morning, 60);
+
+    expect(result.available).toBe(true);
+    expect(result.slot.remainingMinutes).toBe(60);
+  });
+
+  it('reports a full slot', async () => {
+    const result = await checkSlotCapacity(monday, { startTime: '09:00', endTime: '11:00' }, 90);
+
+    expect(result).toMatchObject({
+      available: false,
+      reason: `The ${morning} slot on 2030-01-07 is fully booked`
+    });
+    expect(result.slot.remainingMinutes).toBe(60);
+  });
+
+  it('rejects an unknown slot', async () => {
+    expect(await checkSlotCapacity(monday, '7:00 AM - 9:00 AM', 60)).toEqual({
+      available: false,
+      reason: 'Invalid time slot'
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const {
+  getAllowedTransitions,
+  getTransitionError,
+  transitionBooking,
+  getStatusUpdateError,
+  createdStatusEntry,
+  SYSTEM_ACTOR
+} = require('../../src/services/bookingStatusService');
+
+const admin = { _id: 'admin-1', role: 'admin' };
+const customer = { _id: 'customer-1', role: 'customer' };
+const lead = { _id: 'staff-1', role: 'staff' };
+const helper = { _id: 'staff-2', role: 'staff' };
+
+const makeBooking = (overrides = {}) => ({
+  status: 'pending',
+  assignedStaff: [],
+  statusHistory: [],
+  scheduledDate: new Date(Date.now() - 60 * 60 * 1000),
+  canCancel: () => true,
+  ...overrides
+});
+
+const assignedBooking = (overrides = {}) => makeBooking({
+  status: 'assigned',
+  assignedStaff: [
+    { staffId: lead._id, role: 'lead' },
+    { staffId: helper._id, role: 'helper' }
+  ],
+  ...overrides
+});
+
+describe('getTransitionError', () => {
+  it('rejects unknown statuses with 400', () => {
+    expect(getTransitionError(makeBooking(), 'archived', admin)).toEqual({
+      message: "Invalid booking status 'archived'",
+      statusCode: 400
+    });
+  });
+
+  it('rejects transitions the status machine does not allow with 409', () => {
+    expect(getTransitionError(makeBooking(), 'completed', admin).statusCode).toBe(409);
+    expect(getTransitionError(makeBooking({ status: 'refunded' }), 'pending', admin).statusCode).toBe(409);
+  });
+
+  it('rejects roles that may not make the transition with 403', () => {
+    expect(getTransitionError(makeBooking(), 'confirmed', customer)).toEqual({
+      message: "Role 'customer' cannot change booking status to 'confirmed'",
+      statusCode: 403
+    });
+  });
+
+  it('requires payment before confirming a prepayment customer', () => {
+    const booking = makeBooking({ prepaymentRequired: true });
+    expect(getTransitionError(booking, 'confirmed', admin).statusCode).toBe(409);
+
+    booking.payment = 'payment-1';
+    expect(getTransitionError(booking, 'confirmed', admin)).toBeNull();
+  });
+
+  it('only expires unpaid bookings whose hold has run out', () => {
+    const past = new Date(Date.now() - 1000);
+    const future = new Date(Date.now() + 60 * 1000);
+
+    expect(getTransitionError(makeBooking({ hold: { expiresAt: past } }), 'expired')).toBeNull();
+    expect(getTransitionError(makeBooking({ hold: { expiresAt: future } }), 'expired').message)
+      .toBe('Booking hold has not expired');
+    expect(getTransitionError(makeBooking({ hold: { expiresAt: past }, payment: 'payment-1' }), 'expired').message)
+      .toBe('Paid bookings do not expire');
+  });
+
+  it('lets customers cancel only when the booking allows it', () => {
+    expect(getTransitionError(makeBooking(), 'cancelled', customer)).toBeNull();
+    expect(getTransitionError(makeBooking({ canCancel: () => false }), 'cancelled', customer).statusCode).toBe(409);
+    expect(getTransitionError(makeBooking({ canCancel: () => false }), 'cancelled', admin)).toBeNull();
+  });
+
+  it('limits starting and no-shows to the assigned team', () => {
+    const booking = assignedBooking();
+
+    expect(getTransitionError(booking, 'in_progress', helper)).toBeNull();
+    expect(getTransitionError(booking, 'in_progress', { _id: 'staff-3', role: 'staff' }).statusCode).toBe(409);
+    expect(getTransitionError(booking, 'no_show', lead)).toBeNull();
+    expect(getTransitionError(booking, 'no_show', helper).message)
+      .toBe('Only the lead assigned to this booking can report a no-show');
+  });
+
+  it('does not accept a no-show before the booking is due', () => {
+    const booking = assignedBooking({ scheduledDate: new Date(Date.now() + 60 * 60 * 1000) });
+    expect(getTransitionError(booking, 'no_show', admin).message)
+      .toBe('A no-show can only be reported once the booking is due');
+  });
+
+  it('matches populated staff ids', () => {
+    const booking = assignedBooking({
+      assignedStaff: [{ staffId: { _id: lead._id }, role: 'lead' }]
+    });
+    expect(getTransitionError(booking, 'in_progress', lead)).toBeNull();
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('lists what the actor can do right now', () => {
+    expect(getAllowedTransitions(makeBooking(), customer)).toEqual(['cancelled']);
+    expect(getAllowedTransitions(makeBooking(), admin)).toEqual(['confirmed', 'cancelled']);
+    expect(getAllowedTransitions(makeBooking({ status: 'confirmed' }), admin)).toEqual(['cancelled']);
+  });
+
+  it('defaults to the system actor', () => {
+    expect(getAllowedTransitions(makeBooking({ status: 'completed', payment: 'payment-1' }))).toEqual(['refunded']);
+  });
+});
+
+describe('transitionBooking', () => {
+  it('changes the status and records who changed it', () => {
+    const booking = makeBooking();
+    transitionBooking(booking, 'confirmed', { actor: admin, reason: 'Paid by phone' });
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toHaveLength(1);
+    expect(booking.statusHistory[0]).toMatchObject({
+      from: 'pending',
+      to: 'confirmed',
+      changedBy: 'admin-1',
+      actorRole: 'admin',
+      reason: 'Paid by phone'
+    });
+  });
+
+  it('throws an ErrorResponse and leaves the booking alone when not allowed', () => {
+    const booking = makeBooking();
+
+    expect(() => transitionBooking(booking, 'completed', { actor: admin }))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(booking.status).toBe('pending');
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('getStatusUpdateError', () => {
+  it('sends starting, completing and no-shows through their own endpoints', () => {
+    expect(getStatusUpdateError('in_progress')).toEqual({
+      message: "Bookings move to 'in_progress' through POST /api/v1/bookings/:id/check-in",
+      statusCode: 409
+    });
+    expect(getStatusUpdateError('completed').message).toContain('/complete');
+    expect(getStatusUpdateError('no_show').message).toContain('/no-show');
+  });
+
+  it('leaves other statuses to the state machine', () => {
+    ['confirmed', 'assigned', 'cancelled', 'refunded', 'constructor'].forEach(status => {
+      expect(getStatusUpdateError(status)).toBeNull();
+    });
+  });
+});
+
+describe('createdStatusEntry', () => {
+  it('records the creating user', () => {
+    expect(createdStatusEntry(customer, 'Booked')).toMatchObject({
+      from: null,
+      to: 'pending',
+      changedBy: 'customer-1',
+      actorRole: 'customer',
+      reason: 'Booked'
+    });
+  });
+
+  it('falls back to the system actor', () => {
+    const entry = createdStatusEntry(undefined, 'Generated from subscription');
+
+    expect(entry.changedBy).toBeUndefined();
+    expect(entry.actorRole).toBe(SYSTEM_ACTOR.role);
+    expect(entry.changedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,92 @@
+const Booking = require('../../src/models/Booking');
+const SystemSettings = require('../../src/models/SystemSettings');
+const {
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  calculateRefund
+} = require('../../src/services/cancellationService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Stored as the day only, the way clients usually send it
+const makeBooking = (overrides = {}) => new Booking({
+  scheduledDate: new Date(2026, 10, 7),
+  scheduledTimeSlot: '2:00 PM - 4:00 PM',
+  status: 'confirmed',
+  ...overrides
+});
+
+const slotStart = new Date(2026, 10, 7, 14);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Booking start time', () => {
+  it('is the start of the time slot on the booked day', () => {
+    expect(makeBooking().getStartTime()).toEqual(slotStart);
+    expect(makeBooking({ scheduledDate: new Date(2026, 10, 7, 14) }).getStartTime()).toEqual(slotStart);
+  });
+
+  it('allows cancelling until two hours before the slot starts', () => {
+    jest.useFakeTimers({ now: new Date(slotStart.getTime() - 3 * HOUR) });
+    expect(makeBooking().canCancel()).toBe(true);
+
+    jest.setSystemTime(new Date(slotStart.getTime() - HOUR));
+    expect(makeBooking().canCancel()).toBe(false);
+    jest.useRealTimers();
+  });
+});
+
+describe('getCancellationPolicy', () => {
+  it('orders tiers from the earliest cancellation', async () => {
+    jest.spyOn(SystemSettings, 'getValue').mockResolvedValue([
+      { minHoursBefore: 0, refundPercent: 0 },
+      { minHoursBefore: 48, refundPercent: 100 },
+      { minHoursBefore: 12, refundPercent: 50 }
+    ]);
+
+    expect((await getCancellationPolicy()).map(tier => tier.minHoursBefore)).toEqual([48, 12, 0]);
+  });
+
+  it('falls back to the default policy', async () => {
+    jest.spyOn(SystemSettings, 'getValue').mockResolvedValue([]);
+
+    expect(await getCancellationPolicy()).toEqual(DEFAULT_CANCELLATION_POLICY);
+  });
+});
+
+describe('calculateRefund', () => {
+  beforeEach(() => {
+    jest.spyOn(SystemSettings, 'getValue').mockImplementation(async (key, defaultValue) => defaultValue);
+  });
+
+  const payment = { amount: 2360 };
+
+  it('counts hours to the start of the slot, not the stored date', async () => {
+    // 20 hours after the stored midnight but 30 hours before the slot
+    const refund = await calculateRefund(makeBooking(), payment, new Date(slotStart.getTime() - 30 * HOUR));
+
+    expect(refund).toEqual({
+      hoursBeforeService: 30,
+      refundPercent: 100,
+      paidAmount: 2360,
+      refundAmount: 2360,
+      deduction: 0
+    });
+  });
+
+  it('applies the tier the cancellation falls in', async () => {
+    const partial = await calculateRefund(makeBooking(), payment, new Date(slotStart.getTime() - 5 * HOUR));
+    expect(partial).toMatchObject({ refundPercent: 50, refundAmount: 1180, deduction: 1180 });
+
+    const late = await calculateRefund(makeBooking(), payment, new Date(slotStart.getTime() - HOUR));
+    expect(late).toMatchObject({ refundPercent: 0, refundAmount: 0, deduction: 2360 });
+  });
+
+  it('refunds nothing when nothing was paid', async () => {
+    const refund = await calculateRefund(makeBooking(), null, new Date(slotStart.getTime() - 30 * HOUR));
+
+    expect(refund).toMatchObject({ paidAmount: 0, refundAmount: 0 });
+  });
+});
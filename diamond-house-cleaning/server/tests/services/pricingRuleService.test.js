@@ -0,0 +1,85 @@
+const { matchesRule } = require('../../src/services/pricingRuleService');
+
+const rule = (conditions) => ({ conditions });
+
+// Saturday 7 November 2026, local time
+const saturday = new Date(2026, 10, 7);
+const morning = '9:00 AM - 11:00 AM';
+const evening = '4:00 PM - 6:00 PM';
+
+describe('matchesRule', () => {
+  it('applies a rule without conditions to everything', () => {
+    expect(matchesRule(rule({}), {})).toBe(true);
+    expect(matchesRule({}, { scheduledDate: saturday })).toBe(true);
+  });
+
+  it('matches days of the week', () => {
+    const weekend = rule({ daysOfWeek: ['saturday', 'sunday'] });
+
+    expect(matchesRule(weekend, { scheduledDate: saturday })).toBe(true);
+    expect(matchesRule(weekend, { scheduledDate: new Date(2026, 10, 9) })).toBe(false);
+    expect(matchesRule(weekend, {})).toBe(false);
+  });
+
+  it('matches specific dates and date ranges', () => {
+    const diwali = rule({
+      dates: [new Date(2026, 10, 8)],
+      dateRanges: [{ startDate: new Date(2026, 10, 1), endDate: new Date(2026, 10, 4) }]
+    });
+
+    expect(matchesRule(diwali, { scheduledDate: new Date(2026, 10, 8, 14) })).toBe(true);
+    expect(matchesRule(diwali, { scheduledDate: new Date(2026, 10, 4, 16) })).toBe(true);
+    expect(matchesRule(diwali, { scheduledDate: saturday })).toBe(false);
+    expect(matchesRule(diwali, {})).toBe(false);
+  });
+
+  it('matches time slots by label or by times', () => {
+    const evenings = rule({ timeSlots: [evening] });
+
+    expect(matchesRule(evenings, { scheduledDate: saturday, timeSlot: evening })).toBe(true);
+    expect(matchesRule(evenings, { timeSlot: { startTime: '16:00', endTime: '18:00' } })).toBe(true);
+    expect(matchesRule(evenings, { timeSlot: morning })).toBe(false);
+    expect(matchesRule(evenings, {})).toBe(false);
+  });
+
+  it('measures lead time to the start of the slot', () => {
+    const lastMinute = rule({ leadTimeHours: { max: 24 } });
+    const earlyBird = rule({ leadTimeHours: { min: 72 } });
+    const context = { scheduledDate: saturday, timeSlot: morning };
+
+    // 9:00 AM Saturday is 23 hours after 10:00 AM Friday
+    const friday = new Date(2026, 10, 6, 10);
+    expect(matchesRule(lastMinute, { ...context, bookedAt: friday })).toBe(true);
+    expect(matchesRule(earlyBird, { ...context, bookedAt: friday })).toBe(false);
+
+    const monday = new Date(2026, 10, 2, 9);
+    expect(matchesRule(lastMinute, { ...context, bookedAt: monday })).toBe(false);
+    expect(matchesRule(earlyBird, { ...context, bookedAt: monday })).toBe(true);
+
+    expect(matchesRule(lastMinute, { scheduledDate: saturday, bookedAt: friday })).toBe(false);
+  });
+
+  it('treats a lead time of zero as a condition', () => {
+    const future = rule({ leadTimeHours: { min: 0 } });
+    const context = { scheduledDate: saturday, timeSlot: morning };
+
+    expect(matchesRule(future, { ...context, bookedAt: new Date(2026, 10, 7, 8) })).toBe(true);
+    expect(matchesRule(future, { ...context, bookedAt: new Date(2026, 10, 7, 10) })).toBe(false);
+  });
+
+  it('matches cities ignoring case and spacing', () => {
+    const metro = rule({ cities: ['Mumbai', ' Pune'] });
+
+    expect(matchesRule(metro, { city: 'pune ' })).toBe(true);
+    expect(matchesRule(metro, { city: 'Nashik' })).toBe(false);
+    expect(matchesRule(metro, {})).toBe(false);
+  });
+
+  it('requires every condition to hold', () => {
+    const weekendEvenings = rule({ daysOfWeek: ['saturday'], timeSlots: [evening], cities: ['Pune'] });
+
+    expect(matchesRule(weekendEvenings, { scheduledDate: saturday, timeSlot: evening, city: 'Pune' })).toBe(true);
+    expect(matchesRule(weekendEvenings, { scheduledDate: saturday, timeSlot: evening, city: 'Mumbai' })).toBe(false);
+    expect(matchesRule(weekendEvenings, { scheduledDate: saturday, timeSlot: morning, city: 'Pune' })).toBe(false);
+  });
+});
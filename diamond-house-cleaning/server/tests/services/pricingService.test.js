@@ -0,0 +1,159 @@
+const SystemSettings = require('../../src/models/SystemSettings');
+const {
+  roundCurrency,
+  applyPricingRules,
+  calculateUnitPrice,
+  resolveAddOns,
+  calculateTotals
+} = require('../../src/services/pricingService');
+
+const rule = (type, value, name = `${type} ${value}`) => ({ _id: name, name, adjustment: { type, value } });
+
+const service = (pricing = {}, addOns = []) => ({
+  serviceName: 'Deep Cleaning',
+  pricing: { basePrice: 1000, ...pricing },
+  addOns
+});
+
+describe('roundCurrency', () => {
+  it('rounds to paise', () => {
+    expect(roundCurrency(10.005)).toBe(10.01);
+    expect(roundCurrency(0.1 + 0.2)).toBe(0.3);
+    expect(roundCurrency(99.994)).toBe(99.99);
+  });
+});
+
+describe('applyPricingRules', () => {
+  it('returns the base price without rules', () => {
+    expect(applyPricingRules(500)).toEqual({ price: 500, adjustments: [] });
+  });
+
+  it('applies rules in order and reports what each added', () => {
+    const weekend = rule('multiplier', 1.2);
+    const festival = rule('flat', 150);
+    const { price, adjustments } = applyPricingRules(1000, [weekend, festival]);
+
+    expect(price).toBe(1350);
+    expect(adjustments).toEqual([
+      { rule: weekend, amount: 200 },
+      { rule: festival, amount: 150 }
+    ]);
+  });
+
+  it('never takes the price below zero', () => {
+    const { price, adjustments } = applyPricingRules(100, [rule('flat', -250)]);
+
+    expect(price).toBe(0);
+    expect(adjustments[0].amount).toBe(-100);
+  });
+});
+
+describe('calculateUnitPrice', () => {
+  it('adds area, room and bathroom charges to the base price', () => {
+    const { unitPrice, charges } = calculateUnitPrice(
+      service({ pricePerSqFt: 0.5, pricePerRoom: 100, pricePerBathroom: 150 }),
+      { squareFeet: 1200, rooms: 3, bathrooms: 2 }
+    );
+
+    expect(charges).toMatchObject({
+      base: 1000,
+      area: 600,
+      rooms: 300,
+      bathrooms: 300,
+      minimumAdjustment: 0
+    });
+    expect(unitPrice).toBe(2200);
+  });
+
+  it('applies pricing rules to the base price only', () => {
+    const { unitPrice, charges } = calculateUnitPrice(
+      service({ pricePerRoom: 100 }),
+      { rooms: 3 },
+      [rule('multiplier', 1.1)]
+    );
+
+    expect(charges).toMatchObject({ base: 1100, pricingRules: 100, rooms: 300 });
+    expect(unitPrice).toBe(1400);
+  });
+
+  it('lifts the price to the minimum charge', () => {
+    const { unitPrice, charges } = calculateUnitPrice(service({ basePrice: 300, minimumCharge: 500 }));
+
+    expect(charges.minimumAdjustment).toBe(200);
+    expect(unitPrice).toBe(500);
+  });
+});
+
+describe('resolveAddOns', () => {
+  const fridge = { _id: { toString: () => 'addon-1' }, name: 'Fridge cleaning', price: 250, duration: 30 };
+
+  it('takes prices from the catalogue, by id or by name', () => {
+    const resolved = resolveAddOns(service({}, [fridge]), [
+      { addOnId: 'addon-1', quantity: 2, price: 1 },
+      'fridge cleaning'
+    ]);
+
+    expect(resolved).toEqual([
+      { addOnId: fridge._id, name: 'Fridge cleaning', price: 250, quantity: 2, duration: 30 },
+      { addOnId: fridge._id, name: 'Fridge cleaning', price: 250, quantity: 1, duration: 30 }
+    ]);
+  });
+
+  it('rejects unknown add-ons and bad quantities', () => {
+    expect(() => resolveAddOns(service({}, [fridge]), ['Oven cleaning']))
+      .toThrow('Add-on Oven cleaning is not available for Deep Cleaning');
+    expect(() => resolveAddOns(service({}, [fridge]), [{ name: 'Fridge cleaning', quantity: 1.5 }]))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('calculateTotals', () => {
+  const settings = { gst_rate: 18, company_state: 'Maharashtra' };
+
+  beforeEach(() => {
+    jest.spyOn(SystemSettings, 'getValue').mockImplementation(async (key, defaultValue) => settings[key] ?? defaultValue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const lines = [
+    { serviceId: 'service-1', subtotal: 3000, hsnSac: '998533' },
+    { serviceId: 'service-2', subtotal: 1000, hsnSac: '998533', gstRate: 5 }
+  ];
+
+  it('splits GST into CGST and SGST within the company state', async () => {
+    const pricing = await calculateTotals(lines, { state: 'maharashtra ' });
+
+    expect(pricing.taxBreakdown).toMatchObject({ supplyType: 'intra_state', cgst: 295, sgst: 295, igst: 0 });
+    expect(pricing.tax).toBe(590);
+    expect(pricing.total).toBe(4590);
+  });
+
+  it('charges IGST for other states', async () => {
+    const pricing = await calculateTotals(lines, { state: 'Karnataka' });
+
+    expect(pricing.taxBreakdown).toMatchObject({ supplyType: 'inter_state', placeOfSupply: 'Karnataka', igst: 590 });
+    expect(pricing.total).toBe(4590);
+  });
+
+  it('takes the discount before tax, split across lines, and caps it at the subtotal', async () => {
+    const pricing = await calculateTotals(lines, { discount: 400, state: 'Maharashtra' });
+
+    expect(pricing.discount).toBe(400);
+    expect(pricing.taxBreakdown.lines.map(line => line.taxableAmount)).toEqual([2700, 900]);
+    expect(pricing.tax).toBe(531);
+    expect(pricing.total).toBe(4131);
+
+    expect((await calculateTotals(lines, { discount: 9000 })).discount).toBe(4000);
+  });
+
+  it('adds the travel surcharge undiscounted and taxed like the first service', async () => {
+    const pricing = await calculateTotals(lines, { discount: 4000, travelSurcharge: 100, state: 'Maharashtra' });
+
+    expect(pricing.travelSurcharge).toBe(100);
+    expect(pricing.tax).toBe(18);
+    expect(pricing.total).toBe(118);
+  });
+});
@@ -0,0 +1,96 @@
+const Booking = require('../../src/models/Booking');
+const Staff = require('../../src/models/Staff');
+const SlotHold = require('../../src/models/SlotHold');
+const SystemSettings = require('../../src/models/SystemSettings');
+const { placeHold } = require('../../src/services/slotHoldService');
+
+// Monday 7 January 2030, local time
+const monday = new Date(2030, 0, 7);
+const morning = '9:00 AM - 11:00 AM';
+
+// Model.find(...).select(...) resolving to `docs`
+const query = (docs) => ({ select: jest.fn().mockResolvedValue(docs) });
+
+// One cleaner on the morning slot (120 minutes) with an hour already booked.
+// SlotHold.create records the new hold so the availability re-read counts it.
+const mockSlot = () => {
+  const holds = [];
+
+  jest.spyOn(Staff, 'find').mockReturnValue(query([
+    new Staff({ availability: { schedule: [{ day: 'monday', startTime: '09:00', endTime: '18:00' }] } })
+  ]));
+  jest.spyOn(Booking, 'find').mockReturnValue(query([
+    { scheduledDate: monday, scheduledTimeSlot: morning, services: [{ quantity: 1, duration: 60 }] }
+  ]));
+  jest.spyOn(SlotHold, 'find').mockImplementation(() => query(holds));
+  jest.spyOn(SlotHold, 'create').mockImplementation(async (data) => {
+    const hold = { _id: 'hold-1', ...data };
+    holds.push(hold);
+    return hold;
+  });
+  jest.spyOn(SlotHold, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+};
+
+beforeEach(() => {
+  jest.spyOn(SystemSettings, 'getValue').mockImplementation(async (key, defaultValue) => defaultValue);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('placeHold', () => {
+  it('keeps a hold that fits in the slot', async () => {
+    mockSlot();
+    jest.useFakeTimers({ now: new Date(2030, 0, 6, 12) });
+
+    const hold = await placeHold({ customerId: 'customer-1', date: monday, timeSlot: morning, requiredMinutes: 60 });
+
+    expect(hold).toMatchObject({
+      _id: 'hold-1',
+      scheduledDate: monday,
+      scheduledTimeSlot: morning,
+      requiredMinutes: 60,
+      expiresAt: new Date(2030, 0, 6, 12, 15)
+    });
+    expect(SlotHold.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('uses the given hold length over the setting', async () => {
+    mockSlot();
+    jest.useFakeTimers({ now: new Date(2030, 0, 6, 12) });
+
+    const hold = await placeHold({ customerId: 'customer-1', date: monday, timeSlot: morning, requiredMinutes: 30, minutes: 60 });
+
+    expect(hold.expiresAt).toEqual(new Date(2030, 0, 6, 13));
+  });
+
+  it('gives the hold back and reports the slot when it overflows', async () => {
+    mockSlot();
+
+    const error = await placeHold({ customerId: 'customer-1', date: monday, timeSlot: morning, requiredMinutes: 90 })
+      .catch(err => err);
+
+    expect(error).toMatchObject({
+      message: `The ${morning} slot on 2030-01-07 is fully booked`,
+      statusCode: 409
+    });
+    expect(error.data.slot).toMatchObject({
+      label: morning,
+      capacityMinutes: 120,
+      bookedMinutes: 60,
+      remainingMinutes: 60,
+      isFull: true
+    });
+    expect(SlotHold.deleteOne).toHaveBeenCalledWith({ _id: 'hold-1' });
+  });
+
+  it('rejects an unknown slot without holding anything', async () => {
+    mockSlot();
+
+    await expect(placeHold({ customerId: 'customer-1', date: monday, timeSlot: '7:00 AM - 9:00 AM', requiredMinutes: 60 }))
+      .rejects.toMatchObject({ message: 'Invalid time slot', statusCode: 400 });
+    expect(SlotHold.create).not.toHaveBeenCalled();
+  });
+});
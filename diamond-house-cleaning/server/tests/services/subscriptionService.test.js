@@ -0,0 +1,82 @@
+const Subscription = require('../../src/models/Subscription');
+const { getOccurrenceDates, skipCancelledOccurrence } = require('../../src/services/subscriptionService');
+
+const keys = (dates) => dates.map(date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`);
+
+describe('getOccurrenceDates', () => {
+  it('repeats weekly and fortnightly from the start date', () => {
+    const from = new Date(2026, 10, 1);
+    const to = new Date(2026, 10, 30);
+
+    expect(keys(getOccurrenceDates({ frequency: 'weekly', startDate: new Date(2026, 10, 3, 10) }, from, to)))
+      .toEqual(['2026-11-3', '2026-11-10', '2026-11-17', '2026-11-24']);
+    expect(keys(getOccurrenceDates({ frequency: 'bi_weekly', startDate: new Date(2026, 10, 3) }, from, to)))
+      .toEqual(['2026-11-3', '2026-11-17']);
+  });
+
+  it('keeps the cadence of a subscription that started before the window', () => {
+    const subscription = { frequency: 'bi_weekly', startDate: new Date(2026, 9, 6) };
+
+    expect(keys(getOccurrenceDates(subscription, new Date(2026, 10, 1), new Date(2026, 10, 30))))
+      .toEqual(['2026-11-3', '2026-11-17']);
+  });
+
+  it('clamps monthly dates to short months', () => {
+    const subscription = { frequency: 'monthly', startDate: new Date(2026, 0, 31) };
+
+    expect(keys(getOccurrenceDates(subscription, new Date(2026, 0, 1), new Date(2026, 4, 31))))
+      .toEqual(['2026-1-31', '2026-2-28', '2026-3-31', '2026-4-30', '2026-5-31']);
+  });
+
+  it('uses the chosen days of the week for custom subscriptions', () => {
+    const subscription = {
+      frequency: 'custom',
+      startDate: new Date(2026, 10, 4),
+      daysOfWeek: ['monday', 'thursday']
+    };
+
+    expect(keys(getOccurrenceDates(subscription, new Date(2026, 10, 1), new Date(2026, 10, 16))))
+      .toEqual(['2026-11-5', '2026-11-9', '2026-11-12', '2026-11-16']);
+  });
+
+  it('stops at the end date', () => {
+    const subscription = {
+      frequency: 'weekly',
+      startDate: new Date(2026, 10, 3),
+      endDate: new Date(2026, 10, 17, 12)
+    };
+
+    expect(keys(getOccurrenceDates(subscription, new Date(2026, 10, 1), new Date(2026, 11, 31))))
+      .toEqual(['2026-11-3', '2026-11-10', '2026-11-17']);
+  });
+
+  it('returns nothing for an unknown frequency', () => {
+    expect(getOccurrenceDates({ frequency: 'yearly', startDate: new Date(2026, 10, 3) },
+      new Date(2026, 10, 1), new Date(2026, 11, 31))).toEqual([]);
+  });
+});
+
+describe('skipCancelledOccurrence', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips the day of a cancelled subscription booking so it is not generated again', async () => {
+    jest.spyOn(Subscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await skipCancelledOccurrence({ subscription: 'subscription-1', scheduledDate: new Date(2026, 10, 3, 9) });
+
+    expect(Subscription.updateOne).toHaveBeenCalledWith(
+      { _id: 'subscription-1' },
+      { $addToSet: { skippedDates: new Date(2026, 10, 3) } }
+    );
+  });
+
+  it('ignores one-off bookings', async () => {
+    jest.spyOn(Subscription, 'updateOne');
+
+    await skipCancelledOccurrence({ scheduledDate: new Date(2026, 10, 3, 9) });
+
+    expect(Subscription.updateOne).not.toHaveBeenCalled();
+  });
+});
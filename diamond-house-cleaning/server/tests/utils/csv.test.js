@@ -0,0 +1,50 @@
+const { parseCsv, toCsvRow } = require('../../src/utils/csv');
+
+describe('parseCsv', () => {
+  it('keys each row by the trimmed header', () => {
+    expect(parseCsv('date, timeSlot ,city\n2026-11-02,9:00 AM - 11:00 AM, Pune \n')).toEqual([
+      { date: '2026-11-02', timeSlot: '9:00 AM - 11:00 AM', city: 'Pune' }
+    ]);
+  });
+
+  it('handles quoted commas, doubled quotes and line breaks', () => {
+    const text = 'street,notes\r\n"12, MG Road","Ring the ""back"" bell\nafter 9"\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { street: '12, MG Road', notes: 'Ring the "back" bell\nafter 9' }
+    ]);
+  });
+
+  it('strips a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFcity\n\nPune\n , \nMumbai')).toEqual([{ city: 'Pune' }, { city: 'Mumbai' }]);
+  });
+
+  it('fills missing fields and ignores unnamed columns', () => {
+    expect(parseCsv('city,,zipCode\nPune,extra')).toEqual([{ city: 'Pune', zipCode: '' }]);
+  });
+
+  it('rejects empty input and unterminated quotes', () => {
+    expect(() => parseCsv('')).toThrow('CSV is empty');
+    expect(() => parseCsv('city\n"Pune')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('toCsvRow', () => {
+  it('quotes fields that need it and ends with CRLF', () => {
+    expect(toCsvRow(['BK-1', 'Say "hi", then leave', null, undefined, 42])).toBe('BK-1,"Say ""hi"", then leave",,,42\r\n');
+  });
+
+  it('writes dates as ISO strings', () => {
+    expect(toCsvRow([new Date(Date.UTC(2026, 10, 2, 3, 30))])).toBe('2026-11-02T03:30:00.000Z\r\n');
+  });
+
+  it('neutralises values a spreadsheet would run as formulas', () => {
+    expect(toCsvRow(['=HYPERLINK("http://evil")', '+91 98765 43210', '@SUM(A1)', '-5'])).toBe(
+      '"\'=HYPERLINK(""http://evil"")",\'+91 98765 43210,\'@SUM(A1),\'-5\r\n'
+    );
+  });
+
+  it('leaves negative numbers alone', () => {
+    expect(toCsvRow([-250])).toBe('-250\r\n');
+  });
+});
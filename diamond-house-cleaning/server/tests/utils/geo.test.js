@@ -0,0 +1,68 @@
+const { isValidCoordinates, distanceInMeters, isPointInPolygon } = require('../../src/utils/geo');
+
+describe('isValidCoordinates', () => {
+  it('accepts numbers and numeric strings in range', () => {
+    expect(isValidCoordinates({ latitude: 18.5204, longitude: 73.8567 })).toBe(true);
+    expect(isValidCoordinates({ latitude: '-90', longitude: '180' })).toBe(true);
+  });
+
+  it('rejects missing, non-numeric and out-of-range values', () => {
+    expect(isValidCoordinates(undefined)).toBe(false);
+    expect(isValidCoordinates({ latitude: null, longitude: 73.8 })).toBe(false);
+    expect(isValidCoordinates({ latitude: 'north', longitude: 73.8 })).toBe(false);
+    expect(isValidCoordinates({ latitude: 91, longitude: 73.8 })).toBe(false);
+    expect(isValidCoordinates({ latitude: 18.5, longitude: -180.5 })).toBe(false);
+  });
+});
+
+describe('distanceInMeters', () => {
+  it('is zero for the same point', () => {
+    const point = { latitude: 18.5204, longitude: 73.8567 };
+    expect(distanceInMeters(point, point)).toBe(0);
+  });
+
+  it('measures great-circle distance', () => {
+    // One degree of latitude is about 111.2 km
+    expect(distanceInMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, -1);
+
+    // Pune to Mumbai, roughly 120 km
+    const pune = { latitude: 18.5204, longitude: 73.8567 };
+    const mumbai = { latitude: 19.076, longitude: 72.8777 };
+    expect(distanceInMeters(pune, mumbai) / 1000).toBeCloseTo(120, -1);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  const square = [
+    { latitude: 18, longitude: 73 },
+    { latitude: 18, longitude: 74 },
+    { latitude: 19, longitude: 74 },
+    { latitude: 19, longitude: 73 }
+  ];
+
+  // L shape: the top-right quarter of a 2x2 square is cut out
+  const lShape = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 2 },
+    { latitude: 1, longitude: 2 },
+    { latitude: 1, longitude: 1 },
+    { latitude: 2, longitude: 1 },
+    { latitude: 2, longitude: 0 }
+  ];
+
+  it('finds points inside and outside a square', () => {
+    expect(isPointInPolygon({ latitude: 18.5, longitude: 73.5 }, square)).toBe(true);
+    expect(isPointInPolygon({ latitude: 19.5, longitude: 73.5 }, square)).toBe(false);
+    expect(isPointInPolygon({ latitude: 18.5, longitude: 72.5 }, square)).toBe(false);
+  });
+
+  it('handles concave polygons', () => {
+    expect(isPointInPolygon({ latitude: 0.5, longitude: 1.5 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ latitude: 1.5, longitude: 0.5 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ latitude: 1.5, longitude: 1.5 }, lShape)).toBe(false);
+  });
+
+  it('treats an empty polygon as covering nothing', () => {
+    expect(isPointInPolygon({ latitude: 0, longitude: 0 }, [])).toBe(false);
+  });
+});